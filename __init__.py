@@ -11,10 +11,24 @@ from .text_concatenator import (
     NODE_CLASS_MAPPINGS as TEXT_MAPPINGS,
     NODE_DISPLAY_NAME_MAPPINGS as TEXT_DISPLAY_MAPPINGS
 )
+from .save_image_lora_info import (
+    NODE_CLASS_MAPPINGS as SAVE_MAPPINGS,
+    NODE_DISPLAY_NAME_MAPPINGS as SAVE_DISPLAY_MAPPINGS
+)
+from .lora_xy_sweep import (
+    NODE_CLASS_MAPPINGS as SWEEP_MAPPINGS,
+    NODE_DISPLAY_NAME_MAPPINGS as SWEEP_DISPLAY_MAPPINGS
+)
+
+# Register server routes for the stack preset library and LoRA metadata inspector
+from . import stack_presets  # noqa: F401
+from . import lora_metadata  # noqa: F401
 
 # Merge all node mappings
-NODE_CLASS_MAPPINGS = {**LORA_MAPPINGS, **TEXT_MAPPINGS}
-NODE_DISPLAY_NAME_MAPPINGS = {**LORA_DISPLAY_MAPPINGS, **TEXT_DISPLAY_MAPPINGS}
+NODE_CLASS_MAPPINGS = {**LORA_MAPPINGS, **TEXT_MAPPINGS, **SAVE_MAPPINGS, **SWEEP_MAPPINGS}
+NODE_DISPLAY_NAME_MAPPINGS = {
+    **LORA_DISPLAY_MAPPINGS, **TEXT_DISPLAY_MAPPINGS, **SAVE_DISPLAY_MAPPINGS, **SWEEP_DISPLAY_MAPPINGS
+}
 
 # Export web directory for JavaScript files
 WEB_DIRECTORY = "js"
@@ -4,11 +4,643 @@ Combines dynamic UI, LoRA preset functionality, and sophisticated random strengt
 """
 
 import json
-import random
+import math
+import os
+import re
 import folder_paths
+import comfy.lora
 import comfy.sd
 import comfy.utils
 
+from .lora_metadata import get_lora_hash, get_lora_metadata, metadata_trigger_words, split_trigger_words
+
+# Highest stack_data schema version this backend understands.
+# Must match STATE_SCHEMA_VERSION in js/advanced_lora_stacker.js.
+STATE_SCHEMA_VERSION = 11
+
+# LoRAs matching fewer of their modules than this are flagged as a likely base model mismatch
+LOW_COVERAGE_RATIO = 0.8
+
+# Version of the stack_report JSON layout. Bump when a field changes meaning or is removed.
+STACK_REPORT_VERSION = 1
+
+# What a group does with a disabled LoRA's share: leave it unused ("drop"), or partition the
+# budget among the enabled LoRAs only ("redistribute")
+DISABLED_SHARE_MODES = ("drop", "redistribute")
+
+# How a group splits its budget among unlocked LoRAs: uniform stick-breaking, an equal split,
+# Dirichlet with a concentration, per-LoRA weights, or stick-breaking above a floor and under a cap
+DISTRIBUTION_MODES = ("uniform", "equal", "dirichlet", "weighted", "clamped")
+
+# Smallest Dirichlet concentration. Below this nearly every draw hands one LoRA the whole budget.
+MIN_CONCENTRATION = 0.05
+
+# Curves a strength schedule can follow from its start to its end strength
+SCHEDULE_CURVES = ("linear", "ease_in", "ease_out", "ease_in_out")
+
+# How the trigger_words output orders words: as stacked, strongest MODEL strength first, or A-Z
+TRIGGER_WORD_ORDERS = ("stack", "strength", "alphabetical")
+
+# UNet blocks a block-weight vector addresses, in vector order (SD1.5 layout, SDXL uses a subset)
+BLOCK_NAMES = (
+    [f"IN{i:02d}" for i in range(12)]
+    + ["MID"]
+    + [f"OUT{i:02d}" for i in range(12)]
+)
+
+# Text encoder layer groups a CLIP weight vector addresses. Encoders with more than
+# twelve layers (e.g. SDXL's second encoder) are spread evenly over the twelve slots.
+CLIP_LAYER_NAMES = [f"TE{i:02d}" for i in range(12)]
+
+# Preset ranges on a coarse 0-11 scale: input blocks 0-5, middle 5, output blocks 6-11
+PRESET_BLOCK_RANGES = {
+    "Full": None,  # All blocks
+    "Character": (4, 11),
+    "Style": (0, 5),
+    "Concept": (6, 11),
+    "Fix Hands": (8, 11),
+}
+
+# Prefixes LoRA trainers put in front of text encoder module paths, mapped to an encoder id
+TE_KEY_PREFIXES = (
+    ("lora_te2_", "te2"), ("text_encoder_2.", "te2"),
+    ("lora_te1_", "te1"), ("lora_te_", "te1"), ("text_encoder.", "te1"),
+)
+
+# Prefixes LoRA trainers put in front of the UNet module path
+UNET_KEY_PREFIXES = ("lora_unet_", "unet.", "base_model.model.", "model.diffusion_model.", "diffusion_model.")
+
+# The one tensor per LoRA module that scales its delta linearly, in lookup order
+SCALABLE_KEY_SUFFIXES = (
+    ".lora_up.weight", ".lora_B.weight", ".lora.up.weight", "_lora.up.weight",
+    ".hada_w1_a", ".lokr_w1", ".lokr_w1_a", ".diff",
+)
+
+
+def stable_seed(*parts):
+    """
+    FNV-1a 32-bit hash of the parts joined with ':'.
+    Used to derive an independent stream per group/LoRA from the node seed.
+    Must match stableSeed in js/advanced_lora_stacker.js.
+    """
+    h = 0x811c9dc5
+    for byte in ":".join(str(p) for p in parts).encode("utf-8"):
+        h ^= byte
+        h = (h * 0x01000193) & 0xffffffff
+    return h
+
+
+class SeededRandom:
+    """
+    Small self-contained PRNG (Mulberry32) with a bit-identical JS twin (SeededRandom in
+    js/advanced_lora_stacker.js), so the frontend can show exact values before execution.
+    Unlike the random module it has no global state to disturb other nodes.
+    """
+
+    def __init__(self, seed):
+        self.state = seed & 0xffffffff
+
+    def next_uint32(self):
+        self.state = (self.state + 0x6D2B79F5) & 0xffffffff
+        t = self.state
+        t = ((t ^ (t >> 15)) * (t | 1)) & 0xffffffff
+        t ^= (t + (((t ^ (t >> 7)) * (t | 61)) & 0xffffffff)) & 0xffffffff
+        return (t ^ (t >> 14)) & 0xffffffff
+
+    def random(self):
+        """
+        53-bit float in [0, 1), built from two 32-bit outputs like random.random()
+        """
+        a = self.next_uint32() >> 5
+        b = self.next_uint32() >> 6
+        return (a * 67108864.0 + b) * (1.0 / 9007199254740992.0)
+
+    def uniform(self, a, b):
+        return a + (b - a) * self.random()
+
+
+def sample_normal(rng):
+    """
+    Standard normal draw (Box-Muller) from a SeededRandom
+    """
+    u1 = 1.0 - rng.random()
+    u2 = rng.random()
+    return math.sqrt(-2.0 * math.log(u1)) * math.cos(2.0 * math.pi * u2)
+
+
+def sample_gamma(rng, shape):
+    """
+    Gamma(shape, 1) draw from a SeededRandom (Marsaglia-Tsang), for Dirichlet partitions
+    """
+    if shape < 1.0:
+        # Boost to shape + 1, then scale back down by U^(1/shape)
+        return sample_gamma(rng, shape + 1.0) * math.pow(rng.random(), 1.0 / shape)
+    
+    d = shape - 1.0 / 3.0
+    c = 1.0 / math.sqrt(9.0 * d)
+    while True:
+        x = sample_normal(rng)
+        t = 1.0 + c * x
+        if t <= 0.0:
+            continue
+        v = t * t * t
+        u = 1.0 - rng.random()
+        if math.log(u) < 0.5 * x * x + d - d * v + d * math.log(v):
+            return d * v
+
+
+def schedule_strength(start, end, step, steps, curve="linear"):
+    """
+    Strength of a schedule at a step. Steps wrap around, so with the seed incrementing,
+    every run of steps queued prompts sweeps once from start to end. The curves are
+    quadratic, so js/advanced_lora_stacker.js reproduces the value exactly.
+    """
+    steps = max(2, int(steps))
+    t = (step % steps) / (steps - 1)
+    if curve == "ease_in":
+        t = t * t
+    elif curve == "ease_out":
+        t = 1.0 - (1.0 - t) * (1.0 - t)
+    elif curve == "ease_in_out":
+        t = 2.0 * t * t if t < 0.5 else 1.0 - 2.0 * (1.0 - t) * (1.0 - t)
+    return round(start + (end - start) * t, 4)
+
+
+def signed_strength(lora, value):
+    """
+    A strength with the LoRA's sign applied: subtractive LoRAs are applied negated
+    """
+    return -value if lora.get("subtract", False) and value else value
+
+
+def is_enabled(entry):
+    """
+    Whether a group or LoRA is enabled. Only an explicit false disables it, so a missing or
+    null flag counts as enabled, like the !== false checks in the frontend.
+    """
+    return entry.get("enabled", True) is not False
+
+
+def group_distribution(group):
+    """
+    A group's distribution settings with defaults filled in and out-of-range values fixed.
+    Settings saved as null get their defaults, like the ?? fallbacks in the frontend.
+    """
+    def setting(key, default):
+        value = group.get(key)
+        return value if value is not None else default
+    
+    mode = setting("distribution", "uniform")
+    clamp_min = setting("clamp_min", 0.1)
+    clamp_max = setting("clamp_max", 1.0)
+    return {
+        "mode": mode if mode in DISTRIBUTION_MODES else "uniform",
+        "concentration": max(MIN_CONCENTRATION, setting("concentration", 1.0)),
+        "clamp_min": max(0.0, clamp_min),
+        "clamp_max": max(clamp_min, clamp_max),
+    }
+
+
+def distribution_segments(remaining, count, rng, distribution, weights):
+    """
+    Unrounded shares of remaining for count unlocked LoRAs under a non-uniform distribution.
+    Shares always sum to remaining. Clamped shares stay within [clamp_min, clamp_max], which
+    are first widened to remaining / count when the budget can't honour them.
+    """
+    mode = distribution["mode"]
+    
+    if mode == "dirichlet":
+        draws = [sample_gamma(rng, distribution["concentration"]) for _ in range(count)]
+        draw_total = 0.0
+        for draw in draws:
+            draw_total += draw
+        if draw_total > 0.0:
+            return [draw / draw_total * remaining for draw in draws]
+    
+    if mode == "weighted":
+        weights = [max(0.0, w) for w in weights]
+        weight_total = 0.0
+        for weight in weights:
+            weight_total += weight
+        if weight_total > 0.0:
+            return [w / weight_total * remaining for w in weights]
+    
+    if mode == "clamped":
+        floor = min(distribution["clamp_min"], remaining / count)
+        cap = max(distribution["clamp_max"], remaining / count)
+        
+        # Stick-break what is left above the floor
+        cuts = sorted(rng.random() for _ in range(count - 1))
+        cuts = [0.0] + cuts + [1.0]
+        spread = remaining - floor * count
+        segments = [floor + (cuts[i + 1] - cuts[i]) * spread for i in range(count)]
+        
+        # Hand anything over the cap to the others in proportion to their headroom,
+        # which can't push them over (the cap is at least the mean)
+        excess = 0.0
+        for segment in segments:
+            if segment > cap:
+                excess += segment - cap
+        headroom = 0.0
+        for segment in segments:
+            if segment < cap:
+                headroom += cap - segment
+        if excess > 0.0 and headroom > 0.0:
+            segments = [
+                cap if segment >= cap else segment + excess * (cap - segment) / headroom
+                for segment in segments
+            ]
+        return segments
+    
+    # Equal split, also the fallback when every weight or Dirichlet draw is zero
+    return [remaining / count] * count
+
+
+def round_segments(segments, remaining):
+    """
+    Round shares to 4 decimals and put the rounding error on the smallest share (or the
+    largest, if the shares overshoot), so they still sum to remaining and stay in bounds.
+    Summed left to right so js/advanced_lora_stacker.js can reproduce the result exactly.
+    """
+    segments = [round(segment, 4) for segment in segments]
+    total = 0.0
+    for segment in segments:
+        total += segment
+    diff = round(remaining - total, 4)
+    if diff > 0:
+        segments[segments.index(min(segments))] += diff
+    elif diff < 0:
+        segments[segments.index(max(segments))] += diff
+    return segments
+
+
+def coarse_block_index(block):
+    """
+    Position of a block on the coarse 0-11 scale used by PRESET_BLOCK_RANGES.
+    """
+    if block == "MID":
+        return 5
+    if block.startswith("IN"):
+        return int(block[2:]) // 2
+    return 6 + int(block[3:]) // 2
+
+
+def preset_block_weights(preset):
+    """
+    Block-weight vector for a preset, or None for presets that touch every block.
+    """
+    block_range = PRESET_BLOCK_RANGES.get(preset)
+    if block_range is None:
+        return None
+    start, end = block_range
+    return [1.0 if start <= coarse_block_index(b) <= end else 0.0 for b in BLOCK_NAMES]
+
+
+def lora_key_block(key):
+    """
+    Name of the UNet block a LoRA state-dict key patches (e.g. "IN04", "MID", "OUT11"),
+    or None for text encoder keys and UNet keys outside the block structure.
+    Understands both the original (input_blocks) and diffusers (down_blocks) layouts.
+    """
+    for prefix in UNET_KEY_PREFIXES:
+        if key.startswith(prefix):
+            path = key[len(prefix):].replace(".", "_")
+            break
+    else:
+        return None
+    
+    match = re.match(r"input_blocks_(\d+)_", path)
+    if match:
+        return f"IN{int(match.group(1)):02d}"
+    if path.startswith(("middle_block_", "mid_block_")):
+        return "MID"
+    match = re.match(r"output_blocks_(\d+)_", path)
+    if match:
+        return f"OUT{int(match.group(1)):02d}"
+    
+    # Diffusers layout: three input/output slots per down/up block
+    match = re.match(r"down_blocks_(\d+)_(?:attentions|resnets)_(\d+)_", path)
+    if match:
+        return f"IN{3 * int(match.group(1)) + int(match.group(2)) + 1:02d}"
+    match = re.match(r"down_blocks_(\d+)_downsamplers_", path)
+    if match:
+        return f"IN{3 * int(match.group(1)) + 3:02d}"
+    match = re.match(r"up_blocks_(\d+)_(?:attentions|resnets)_(\d+)_", path)
+    if match:
+        return f"OUT{3 * int(match.group(1)) + int(match.group(2)):02d}"
+    match = re.match(r"up_blocks_(\d+)_upsamplers_", path)
+    if match:
+        return f"OUT{3 * int(match.group(1)) + 2:02d}"
+    
+    return None
+
+
+def lora_key_te_layer(key):
+    """
+    (encoder id, layer index) a LoRA state-dict key patches, or None for non text encoder keys
+    and text encoder keys outside the transformer layers.
+    """
+    for prefix, encoder in TE_KEY_PREFIXES:
+        if key.startswith(prefix):
+            match = re.search(r"encoder_layers_(\d+)_", key[len(prefix):].replace(".", "_"))
+            return (encoder, int(match.group(1))) if match else None
+    return None
+
+
+def apply_block_weights(lora_sd, block_weights=None, clip_weights=None):
+    """
+    Return a copy of a LoRA state dict with each UNet block and text encoder layer group
+    scaled by its weight. Modules with a zero weight are dropped; keys that map to no
+    block or layer are kept as-is.
+    
+    Args:
+        lora_sd: LoRA state dict (tensors, or plain numbers in tests)
+        block_weights: List of weights in BLOCK_NAMES order, or None to leave the UNet alone
+        clip_weights: List of weights in CLIP_LAYER_NAMES order, or None to leave CLIP alone
+        
+    Returns:
+        Tuple of (filtered state dict, number of dropped keys, number of scaled keys)
+    """
+    weights = dict(zip(BLOCK_NAMES, block_weights or []))
+    
+    # Layer count per encoder, so deep encoders spread evenly over the CLIP slots
+    te_layers = {}
+    for key in lora_sd:
+        te_layer = lora_key_te_layer(key)
+        if te_layer:
+            encoder, layer = te_layer
+            te_layers[encoder] = max(te_layers.get(encoder, 0), layer + 1)
+    
+    # Modules are scaled through one tensor, so find which key that is for each module
+    scale_keys = {}
+    for key in lora_sd:
+        for suffix in SCALABLE_KEY_SUFFIXES:
+            if key.endswith(suffix):
+                scale_keys.setdefault(key[:-len(suffix)], key)
+                break
+    
+    result = {}
+    dropped = 0
+    scaled = 0
+    for key, value in lora_sd.items():
+        block = lora_key_block(key)
+        weight = weights.get(block, 1.0) if block else 1.0
+        
+        te_layer = lora_key_te_layer(key) if clip_weights else None
+        if te_layer:
+            encoder, layer = te_layer
+            slot = layer * len(CLIP_LAYER_NAMES) // max(te_layers[encoder], len(CLIP_LAYER_NAMES))
+            weight = clip_weights[slot]
+        
+        if weight == 0.0:
+            dropped += 1
+            continue
+        if weight != 1.0 and key in scale_keys.values():
+            value = value * weight
+            scaled += 1
+        result[key] = value
+    
+    return result, dropped, scaled
+
+
+def lora_module_names(lora_sd):
+    """
+    Names of the modules a LoRA patches: each module's scalable key without its suffix,
+    which is the name ComfyUI's LoRA key maps are keyed by.
+    """
+    modules = set()
+    for key in lora_sd:
+        for suffix in SCALABLE_KEY_SUFFIXES:
+            if key.endswith(suffix):
+                modules.add(key[:-len(suffix)])
+                break
+    return modules
+
+
+def model_lora_keys(model, clip):
+    """
+    The LoRA module names the model and CLIP accept, as (model_keys, clip_keys) sets.
+    """
+    model_keys = set(comfy.lora.model_lora_keys_unet(model.model, {})) if model is not None else set()
+    clip_keys = set(comfy.lora.model_lora_keys_clip(clip.cond_stage_model, {})) if clip is not None else set()
+    return model_keys, clip_keys
+
+
+def lora_key_coverage(lora_sd, model_keys, clip_keys):
+    """
+    Count how many of a LoRA's modules the model and CLIP will actually load.
+    load_lora_for_models silently skips the rest, which is what stacking a LoRA onto the
+    wrong base model looks like. status is "none", "low" or "ok".
+    """
+    modules = lora_module_names(lora_sd)
+    model_matched = sum(1 for m in modules if m in model_keys)
+    clip_matched = sum(1 for m in modules if m in clip_keys)
+    matched = sum(1 for m in modules if m in model_keys or m in clip_keys)
+    
+    if modules and matched == 0:
+        status = "none"
+    elif modules and matched < LOW_COVERAGE_RATIO * len(modules):
+        status = "low"
+    else:
+        status = "ok"
+    
+    return {
+        "modules": len(modules),
+        "matched": matched,
+        "model": model_matched,
+        "clip": clip_matched,
+        "status": status,
+    }
+
+
+def coverage_warning(coverage):
+    """
+    One-line warning for a LoRA with zero or low key coverage, or None if it loaded fully.
+    """
+    if coverage is None or coverage["status"] == "ok":
+        return None
+    
+    counts = f"{coverage['matched']}/{coverage['modules']} modules matched " \
+             f"(MODEL {coverage['model']}, CLIP {coverage['clip']})"
+    if coverage["status"] == "none":
+        return f"⚠ No keys matched - {counts}. Wrong base model?"
+    return f"⚠ Low key coverage - {counts}. Possible base model mismatch"
+
+
+def stack_report_entry(lora, group, seed, model_strength, clip_strength, coverage, trigger_words):
+    """
+    The stack_report record of one applied LoRA. group is the group dict, or None for
+    ungrouped LoRAs. Each strength records how it was resolved: "locked" or "partitioned"
+    inside a group, "fixed", "random" or "scheduled" (with its range) outside one.
+    A scheduled strength's range is [start, end].
+    """
+    def strength(kind, value):
+        if group is not None:
+            mode = "locked" if lora.get(f"lock_{kind}", False) else "partitioned"
+            value_range = None
+        elif lora.get(f"schedule_{kind}", False):
+            mode = "scheduled"
+            value_range = [lora.get(f"start_{kind}", 0.0), lora.get(f"end_{kind}", 1.0)]
+        elif lora.get(f"random_{kind}", False):
+            mode = "random"
+            value_range = [lora.get(f"min_{kind}", 0.0), lora.get(f"max_{kind}", 1.0)]
+        else:
+            mode = "fixed"
+            value_range = None
+        return {"strength": value, "mode": mode, "locked": mode == "locked", "range": value_range}
+    
+    name = lora.get("name", "None")
+    try:
+        sha256 = get_lora_hash(name)
+    except (OSError, ValueError) as e:
+        print(f"    Could not hash {name}: {e}")
+        sha256 = None
+    
+    return {
+        "id": lora.get("id"),
+        "name": name,
+        "sha256": sha256,
+        "group": None if group is None else {
+            "id": group.get("id"),
+            "index": group.get("index"),
+            "max_model": group.get("max_model", 1.0),
+            "max_clip": group.get("max_clip", 1.0),
+        },
+        "preset": lora.get("preset", "Full"),
+        "block_weights": lora.get("block_weights"),
+        "clip_weights": lora.get("clip_weights"),
+        "model": strength("model", model_strength),
+        "clip": strength("clip", clip_strength),
+        "seed": seed,
+        "trigger_words": trigger_words,
+        "coverage": coverage,
+    }
+
+
+def stack_report(seed, entries, error=None, missing=None):
+    """
+    The stack_report output: the canonical record of what apply_loras applied.
+    """
+    report = {"report_version": STACK_REPORT_VERSION, "seed": seed, "loras": entries}
+    if missing:
+        report["missing"] = missing
+    if error:
+        report["error"] = error
+    return report
+
+
+def lora_file_exists(lora_name):
+    """
+    Whether a LoRA name resolves to a file in the loras folders.
+    """
+    return folder_paths.get_full_path("loras", lora_name) is not None
+
+
+def a1111_lora_name(lora_name):
+    """
+    The name A1111 gives a LoRA in prompts and infotext: its filename without folders or
+    extension. Colons and commas are removed because they delimit the Lora hashes field.
+    """
+    stem = os.path.splitext(os.path.basename(lora_name.replace("\\", "/")))[0]
+    return stem.replace(":", "").replace(",", "")
+
+
+def format_a1111_weight(value):
+    """
+    A strength as A1111 writes it: at most four decimals, no trailing zeros.
+    """
+    return f"{round(value, 4):g}"
+
+
+def a1111_lora_info(entries):
+    """
+    The applied LoRAs in the infotext format A1111 and Civitai parse, as two lines:
+    <lora:name:weight> prompt tags, then a Lora hashes field with each file's short
+    addnet hash. entries is [(lora_name, model_strength, clip_strength)].
+    Only .safetensors files get a hash: the addnet hash is defined by skipping their header,
+    and a hash of another format could name a different file on A1111 or Civitai.
+    A1111 reads a single weight as both strengths, so a differing CLIP strength is written
+    as <lora:name:MODEL:te=CLIP:unet=MODEL>. Parsers that only read the first weight still
+    see the MODEL strength.
+    The hashes line is one settings field, not a settings line: A1111 treats a last line
+    with fewer than three fields as prompt text, so it must be merged into the line that
+    holds Steps, Sampler, Seed and so on (Save Image (LoRA Info) does this).
+    """
+    tags = []
+    hashes = []
+    for lora_name, model_strength, clip_strength in entries:
+        name = a1111_lora_name(lora_name)
+        model_weight = format_a1111_weight(model_strength)
+        tag = f"<lora:{name}:{model_weight}"
+        if clip_strength != model_strength:
+            tag += f":te={format_a1111_weight(clip_strength)}:unet={model_weight}"
+        tags.append(tag + ">")
+        
+        if not lora_name.lower().endswith(".safetensors"):
+            continue
+        try:
+            addnet_hash = get_lora_hash(lora_name, skip_header=True)
+        except (OSError, ValueError) as e:
+            print(f"    Could not hash {lora_name}: {e}")
+            addnet_hash = None
+        if addnet_hash:
+            hashes.append(f"{name}: {addnet_hash[:12]}")
+    
+    if not tags:
+        return ""
+    lines = [" ".join(tags)]
+    if hashes:
+        lines.append(f'Lora hashes: "{", ".join(hashes)}"')
+    return "\n".join(lines)
+
+
+def lora_trigger_words(lora_name, override=None):
+    """
+    Trigger words for a LoRA: the user's comma-separated override if set, otherwise the
+    words found in its safetensors metadata.
+    """
+    if isinstance(override, str) and override.strip():
+        return split_trigger_words(override)
+    
+    try:
+        metadata = get_lora_metadata(lora_name)
+    except (OSError, ValueError) as e:
+        print(f"    Could not read trigger words from {lora_name}: {e}")
+        return []
+    return metadata_trigger_words(metadata) if metadata else []
+
+
+def join_trigger_words(entries, order="stack", delimiter=", "):
+    """
+    Join the trigger words of applied LoRAs into one string.
+    entries is [(model_strength, words)] in stack order. Repeated words are kept once.
+    """
+    if order == "strength":
+        entries = sorted(entries, key=lambda entry: -abs(entry[0]))
+    
+    words = []
+    seen = set()
+    for _, lora_words in entries:
+        for word in lora_words:
+            if word.lower() not in seen:
+                seen.add(word.lower())
+                words.append(word)
+    
+    if order == "alphabetical":
+        words.sort(key=str.lower)
+    return delimiter.join(words)
+
+
+def valid_weight_vector(weights, names):
+    """
+    Whether a custom weight vector can be used: one number per entry in names.
+    """
+    return (
+        isinstance(weights, list)
+        and len(weights) == len(names)
+        and all(isinstance(w, (int, float)) and not isinstance(w, bool) for w in weights)
+    )
+
 
 class AdvancedLoraStacker:
     """
@@ -28,32 +660,42 @@ class AdvancedLoraStacker:
                     "control_after_generate": "randomize"
                 }),
             },
+            "optional": {
+                # Drives strength schedules instead of the seed, e.g. a batch or frame index
+                "step_index": ("INT", {"forceInput": True}),
+            },
             "hidden": {
                 "stack_data": ("STRING", {"default": ""}),
             }
         }
 
-    RETURN_TYPES = ("MODEL", "CLIP", "STRING")
-    RETURN_NAMES = ("model", "clip", "info")
+    RETURN_TYPES = ("MODEL", "CLIP", "STRING", "STRING", "STRING", "STRING")
+    RETURN_NAMES = ("model", "clip", "info", "trigger_words", "stack_report", "a1111_lora_info")
     FUNCTION = "apply_loras"
     CATEGORY = "loaders"
 
-    def partition_strengths(self, total, num_segments, locked_values=None, seed=None):
+    def partition_strengths(self, total, num_segments, locked_values=None, rng=None,
+                            distribution=None, weights=None):
         """
-        Partition a total value into num_segments using stick-breaking method.
-        Respects locked values by subtracting them first.
+        Partition a total value into num_segments using stick-breaking method, or the
+        group's distribution mode. Respects locked values by subtracting them first.
+        A negative total partitions its magnitude and gives the unlocked shares its sign.
+        Each locked value uses up its magnitude of the budget, and locks that add up to
+        more than the budget are scaled down to fit it.
         
         Args:
             total: Total value to partition
             num_segments: Number of segments to create
             locked_values: Dict of {index: value} for locked segments
-            seed: Random seed for reproducibility
+            rng: SeededRandom to draw cut points from
+            distribution: Settings from group_distribution (None = uniform stick-breaking)
+            weights: Per-segment weights for the weighted mode
             
         Returns:
             List of partitioned values
         """
-        if seed is not None:
-            random.seed(seed)
+        if rng is None:
+            rng = SeededRandom(0)
         
         if locked_values is None:
             locked_values = {}
@@ -61,27 +703,44 @@ class AdvancedLoraStacker:
         # Initialize result array
         result = [0.0] * num_segments
         
+        budget = abs(total)
+        
         # Set locked values
+        locked_indices = [idx for idx in locked_values if 0 <= idx < num_segments]
         locked_total = 0.0
-        for idx, val in locked_values.items():
-            if 0 <= idx < num_segments:
-                result[idx] = val
-                locked_total += val
+        for idx in locked_indices:
+            result[idx] = locked_values[idx]
+            locked_total += abs(locked_values[idx])
+        
+        # Locks over budget are scaled to fit it, keeping their signs, and leave nothing to partition
+        if locked_total > budget:
+            scaled = round_segments([abs(result[idx]) * budget / locked_total for idx in locked_indices], budget)
+            for i, idx in enumerate(locked_indices):
+                result[idx] = -scaled[i] if result[idx] < 0 and scaled[i] else scaled[i]
+            return result
         
         # Calculate remaining value to partition
-        remaining = total - locked_total
+        remaining = budget - locked_total
         unlocked_indices = [i for i in range(num_segments) if i not in locked_values]
         
         if not unlocked_indices or remaining <= 0:
             return result
         
-        # Generate random cut points using stick-breaking
         num_unlocked = len(unlocked_indices)
-        if num_unlocked == 1:
+        if distribution is not None and distribution["mode"] != "uniform" and num_unlocked > 1:
+            unlocked_weights = [weights[i] if weights and i < len(weights) else 1.0 for i in unlocked_indices]
+            segments = round_segments(
+                distribution_segments(remaining, num_unlocked, rng, distribution, unlocked_weights),
+                remaining
+            )
+            for i, idx in enumerate(unlocked_indices):
+                result[idx] = segments[i]
+        
+        elif num_unlocked == 1:
             result[unlocked_indices[0]] = remaining
         else:
             # Generate n-1 random cut points between 0 and 1
-            cuts = [random.random() for _ in range(num_unlocked - 1)]
+            cuts = [rng.random() for _ in range(num_unlocked - 1)]
             cuts.sort()
             
             # Add boundaries
@@ -93,8 +752,12 @@ class AdvancedLoraStacker:
                 segment = (cuts[i + 1] - cuts[i]) * remaining
                 segments.append(round(segment, 4))
             
-            # Fix rounding errors by adding difference to largest segment
-            total_segments = sum(segments)
+            # Fix rounding errors by adding difference to largest segment.
+            # Summed left to right (not sum(), which is compensated on Python 3.12+)
+            # so js/advanced_lora_stacker.js can reproduce the result exactly.
+            total_segments = 0.0
+            for segment in segments:
+                total_segments += segment
             diff = round(remaining - total_segments, 4)
             if diff != 0:
                 max_idx = segments.index(max(segments))
@@ -104,9 +767,15 @@ class AdvancedLoraStacker:
             for i, idx in enumerate(unlocked_indices):
                 result[idx] = segments[i]
         
+        # Unlocked shares take a negative total's sign
+        if total < 0:
+            for idx in unlocked_indices:
+                result[idx] = -result[idx] if result[idx] else 0.0
+        
         return result
 
-    def apply_lora_with_preset(self, model, clip, lora_name, preset, model_strength, clip_strength):
+    def apply_lora_with_preset(self, model, clip, lora_name, preset, model_strength, clip_strength,
+                               block_weights=None, clip_weights=None, lora_keys=None, lora_cache=None):
         """
         Apply LoRA with block targeting based on preset type.
         
@@ -116,55 +785,102 @@ class AdvancedLoraStacker:
         - Style: Target blocks 0-5 (input to middle)
         - Concept: Target blocks 6-11 (output blocks)
         - Fix Hands: Target blocks 8-11 (late output)
+        
+        Custom and user-saved presets carry their own vectors: block_weights (one weight per
+        BLOCK_NAMES entry) overrides the preset's UNet blocks, and clip_weights (one weight per
+        CLIP_LAYER_NAMES entry) scales text encoder layers. Built-in presets never touch CLIP.
+        
+        Returns (model, clip, coverage). With lora_keys from model_lora_keys(), coverage
+        counts the modules that matched (see lora_key_coverage); otherwise it is None.
+        Pass the same lora_cache dict to reuse loaded files across calls.
         """
         if lora_name == "None":
-            return model, clip
+            return model, clip, None
         
         lora_path = folder_paths.get_full_path("loras", lora_name)
-        lora = comfy.utils.load_torch_file(lora_path, safe_load=True)
-        
-        # Define block targeting for each preset
-        preset_blocks = {
-            "Full": None,  # All blocks
-            "Character": (4, 11),
-            "Style": (0, 5),
-            "Concept": (6, 11),
-            "Fix Hands": (8, 11),
-        }
+        if lora_path is None:
+            raise FileNotFoundError(f"LoRA file not found: {lora_name}")
+        if lora_cache is not None and lora_path in lora_cache:
+            lora = lora_cache[lora_path]
+        else:
+            lora = comfy.utils.load_torch_file(lora_path, safe_load=True)
+            if lora_cache is not None:
+                lora_cache[lora_path] = lora
         
-        blocks = preset_blocks.get(preset, None)
+        if valid_weight_vector(block_weights, BLOCK_NAMES):
+            weights = [float(w) for w in block_weights]
+        else:
+            if block_weights is not None:
+                print(f"    Ignoring invalid block weights for {lora_name} (expected {len(BLOCK_NAMES)} numbers)")
+            weights = preset_block_weights(preset)
         
-        if blocks is None:
-            # Standard LoRA application (all blocks)
-            model_lora, clip_lora = comfy.sd.load_lora_for_models(
-                model, clip, lora, model_strength, clip_strength
-            )
+        if valid_weight_vector(clip_weights, CLIP_LAYER_NAMES):
+            te_weights = [float(w) for w in clip_weights]
         else:
-            # Apply with block targeting
-            # Create strength multipliers for each block
-            start_block, end_block = blocks
-            
-            # For now, we'll use the standard loading but note the preset
-            # Full block-level control would require deeper integration with ComfyUI's model patcher
-            model_lora, clip_lora = comfy.sd.load_lora_for_models(
-                model, clip, lora, model_strength, clip_strength
-            )
+            if clip_weights is not None:
+                print(f"    Ignoring invalid CLIP weights for {lora_name} (expected {len(CLIP_LAYER_NAMES)} numbers)")
+            te_weights = None
+        
+        if te_weights is not None and all(w == 1.0 for w in te_weights):
+            te_weights = None
+        if weights is not None and all(w == 1.0 for w in weights):
+            weights = None
+        
+        if weights is not None or te_weights is not None:
+            lora, dropped, scaled = apply_block_weights(lora, weights, te_weights)
+            print(f"    Block weights: {dropped} key(s) dropped, {scaled} module(s) scaled")
+        
+        coverage = lora_key_coverage(lora, *lora_keys) if lora_keys is not None else None
+        
+        model_lora, clip_lora = comfy.sd.load_lora_for_models(
+            model, clip, lora, model_strength, clip_strength
+        )
         
-        return model_lora, clip_lora
+        return model_lora, clip_lora, coverage
 
-    def apply_loras(self, model, clip, seed, stack_data=""):
+    def report_coverage(self, lora, coverage, info_lines, coverage_report):
         """
-        Main execution function that processes all groups and solo LoRAs.
+        Log a LoRA's key coverage, add a warning line to info if it is zero or low,
+        and record it for the frontend badge.
+        """
+        if coverage is None:
+            return
+        
+        print(f"    Keys: {coverage['matched']}/{coverage['modules']} modules matched "
+              f"(MODEL {coverage['model']}, CLIP {coverage['clip']})")
+        warning = coverage_warning(coverage)
+        if warning:
+            print(f"    {warning}")
+            info_lines.append(f"  {warning}")
+        
+        coverage_report.append({"id": lora.get("id"), "name": lora.get("name"), **coverage})
+
+    def report_missing(self, lora, info_lines, missing):
+        """
+        Log a LoRA whose file is not in the loras folders and record it for the frontend.
+        """
+        print(f"  ✗ {lora.get('name')} (file not found, skipped)")
+        info_lines.append(f"[MISSING] {lora.get('name')} - file not found, skipped")
+        missing.append({"id": lora.get("id"), "name": lora.get("name")})
+
+    def apply_loras(self, model, clip, seed, stack_data="", step_index=None):
+        """
+        Main execution function that processes all groups and ungrouped LoRAs.
         """
         print("\n" + "="*80)
         print("Advanced LoRA Stacker - Execution")
         print("="*80)
         print(f"Seed: {seed}")
         
+        # Strength schedules follow the step_index input when connected, otherwise the seed
+        step = step_index if step_index is not None else seed
+        if step_index is not None:
+            print(f"Schedule step: {step_index}")
+        
         if not stack_data or stack_data == "":
             print("No LoRAs configured")
             print("="*80 + "\n")
-            return (model, clip, "No LoRAs applied")
+            return (model, clip, "No LoRAs applied", "", json.dumps(stack_report(seed, [])), "")
         
         try:
             data = json.loads(stack_data)
@@ -172,7 +888,23 @@ class AdvancedLoraStacker:
             print(f"Invalid stack data: {str(e)}")
             print(f"Stack data preview: {stack_data[:100]}...")
             print("="*80 + "\n")
-            return (model, clip, "Invalid configuration")
+            return (model, clip, "Invalid configuration", "",
+                    json.dumps(stack_report(seed, [], f"Invalid stack data: {e}")), "")
+        
+        if not isinstance(data, dict):
+            print("Invalid data structure: stack data must be an object")
+            print("="*80 + "\n")
+            return (model, clip, "Invalid configuration", "",
+                    json.dumps(stack_report(seed, [], "Stack data must be an object")), "")
+        
+        # Unversioned payloads are schema v1, which shares the v2 shape.
+        # The frontend migrates on load, so anything newer came from a newer frontend.
+        schema_version = data.get("schema_version", 1)
+        if not isinstance(schema_version, int) or schema_version > STATE_SCHEMA_VERSION:
+            print(f"Unsupported stack data schema version: {schema_version} (supported up to {STATE_SCHEMA_VERSION})")
+            print("="*80 + "\n")
+            return (model, clip, f"Unsupported configuration version {schema_version}", "",
+                    json.dumps(stack_report(seed, [], f"Unsupported schema version {schema_version}")), "")
         
         groups = data.get("groups", [])
         loras = data.get("loras", [])
@@ -181,11 +913,40 @@ class AdvancedLoraStacker:
         if not isinstance(groups, list) or not isinstance(loras, list):
             print("Invalid data structure: groups and loras must be lists")
             print("="*80 + "\n")
-            return (model, clip, "Invalid configuration")
+            return (model, clip, "Invalid configuration", "",
+                    json.dumps(stack_report(seed, [], "groups and loras must be lists")), "")
         
-        print(f"Loaded configuration: {len(groups)} group(s), {len(loras)} LoRA(s)")
+        print(f"Loaded configuration (schema v{schema_version}): {len(groups)} group(s), {len(loras)} LoRA(s)")
         
         info_lines = []
+        trigger_entries = []
+        report_entries = []
+        
+        # Per-LoRA key coverage, sent to the frontend for the row badges
+        coverage_report = []
+        
+        # LoRAs whose files are not in the loras folders. They are skipped, not fatal.
+        missing = []
+        lora_keys = model_lora_keys(model, clip)
+        
+        # Solo mode applies one LoRA. It and its group count as enabled, so it resolves to the
+        # strength it would get in the full stack unless an audition strength is set.
+        solo_id = data.get("solo_lora_id")
+        solo_lora = next((l for l in loras if solo_id is not None and l.get("id") == solo_id), None)
+        solo_strength = data.get("solo_strength")
+        if isinstance(solo_strength, bool) or not isinstance(solo_strength, (int, float)):
+            solo_strength = None
+        if solo_id is not None and solo_lora is None:
+            print(f"Solo LoRA {solo_id} not found, applying the full stack")
+            solo_id = None
+        if solo_lora is None:
+            solo_strength = None
+        if solo_lora is not None:
+            loras = [dict(l, enabled=True) if l is solo_lora else l for l in loras]
+            groups = [dict(g, enabled=True) if g.get("id") == solo_lora.get("group_id") else g for g in groups]
+            at = f"audition strength {solo_strength:.4f}" if solo_strength is not None else "its resolved strength"
+            print(f"⚠ SOLO: only {solo_lora.get('name', 'None')} is applied, at {at}")
+            info_lines.append(f"[SOLO] {solo_lora.get('name', 'None')} at {at} - {len(loras) - 1} other LoRA(s) muted")
         
         # Process groups
         for group in groups:
@@ -199,10 +960,37 @@ class AdvancedLoraStacker:
             if not group_loras:
                 continue
             
+            if solo_id is not None and not any(l.get("id") == solo_id for l in group_loras):
+                continue
+            
+            if not is_enabled(group):
+                print(f"\nGroup {group.get('index', 'N/A')} - Disabled, skipping {len(group_loras)} LoRA(s)")
+                continue
+            
+            # Disabled LoRAs keep their share (which is then dropped) unless the group redistributes it
+            disabled_share = group.get("disabled_share", "drop")
+            if disabled_share not in DISABLED_SHARE_MODES:
+                disabled_share = "drop"
+            num_disabled = sum(1 for l in group_loras if not is_enabled(l))
+            if disabled_share == "redistribute":
+                group_loras = [l for l in group_loras if is_enabled(l)]
+            if not any(is_enabled(l) for l in group_loras):
+                print(f"\nGroup {group.get('index', 'N/A')} - All LoRAs disabled, skipping")
+                continue
+            
             print(f"\n{'─'*80}")
             print(f"Group {group.get('index', 'N/A')} - Processing {len(group_loras)} LoRA(s)")
+            if num_disabled:
+                print(f"  Disabled: {num_disabled} LoRA(s), share {'redistributed' if disabled_share == 'redistribute' else 'dropped'}")
             print(f"  Max MODEL strength: {max_model:.4f}")
             print(f"  Max CLIP strength: {max_clip:.4f}")
+            distribution = group_distribution(group)
+            if distribution["mode"] == "dirichlet":
+                print(f"  Distribution: dirichlet (concentration {distribution['concentration']:.2f})")
+            elif distribution["mode"] == "clamped":
+                print(f"  Distribution: clamped ({distribution['clamp_min']:.4f}-{distribution['clamp_max']:.4f})")
+            else:
+                print(f"  Distribution: {distribution['mode']}")
             
             # Count locked values
             num_locked_model = sum(1 for l in group_loras if l.get("lock_model", False))
@@ -212,35 +1000,73 @@ class AdvancedLoraStacker:
             
             print(f"{'─'*80}")
             
+            # Partition in LoRA id order, so reordering rows doesn't change anyone's strength
+            ordered = sorted(range(len(group_loras)), key=lambda i: group_loras[i].get("id", 0))
+            
             # Separate locked and unlocked LoRAs
             locked_model = {}
             locked_clip = {}
+            weights = []
             
-            for i, lora in enumerate(group_loras):
+            for pos, i in enumerate(ordered):
+                lora = group_loras[i]
+                weight = lora.get("weight")
+                weights.append(weight if weight is not None else 1.0)
                 if lora.get("lock_model", False):
-                    locked_model[i] = lora.get("locked_model_value", 0.0)
+                    locked_model[pos] = lora.get("locked_model_value", 0.0)
                 if lora.get("lock_clip", False):
-                    locked_clip[i] = lora.get("locked_clip_value", 0.0)
+                    locked_clip[pos] = lora.get("locked_clip_value", 0.0)
+            
+            # Partition strengths, each group drawing from its own stream
+            for kind, budget, locked in (("MODEL", max_model, locked_model), ("CLIP", max_clip, locked_clip)):
+                locked_total = sum(abs(value) for value in locked.values())
+                if locked_total > abs(budget):
+                    warning = (f"⚠ Locked {kind} strengths ({locked_total:.4f}) exceed the group budget "
+                               f"({abs(budget):.4f}), scaled to fit")
+                    print(f"  {warning}")
+                    info_lines.append(f"[Group {group.get('index', 'N/A')}] {warning}")
             
-            # Partition strengths
-            model_strengths = self.partition_strengths(
-                max_model, len(group_loras), locked_model, seed
+            ordered_model = self.partition_strengths(
+                max_model, len(group_loras), locked_model,
+                SeededRandom(stable_seed(seed, "group", group_id, "model")), distribution, weights
             )
-            clip_strengths = self.partition_strengths(
-                max_clip, len(group_loras), locked_clip, seed + 1
+            ordered_clip = self.partition_strengths(
+                max_clip, len(group_loras), locked_clip,
+                SeededRandom(stable_seed(seed, "group", group_id, "clip")), distribution, weights
             )
             
+            model_strengths = [0.0] * len(group_loras)
+            clip_strengths = [0.0] * len(group_loras)
+            for pos, i in enumerate(ordered):
+                model_strengths[i] = ordered_model[pos]
+                clip_strengths[i] = ordered_clip[pos]
+            
             # Apply LoRAs
             for i, lora in enumerate(group_loras):
                 lora_name = lora.get("name", "None")
                 preset = lora.get("preset", "Full")
                 
+                if not is_enabled(lora):
+                    print(f"  ○ {lora_name} (disabled, share of M:{model_strengths[i]:.4f} C:{clip_strengths[i]:.4f} dropped)")
+                    continue
+                
+                if solo_id is not None and lora.get("id") != solo_id:
+                    continue
+                
                 if lora_name and lora_name != "None":
-                    model_str = model_strengths[i]
-                    clip_str = clip_strengths[i]
+                    if not lora_file_exists(lora_name):
+                        self.report_missing(lora, info_lines, missing)
+                        continue
                     
-                    model, clip = self.apply_lora_with_preset(
-                        model, clip, lora_name, preset, model_str, clip_str
+                    model_str = signed_strength(lora, model_strengths[i])
+                    clip_str = signed_strength(lora, clip_strengths[i])
+                    if solo_strength is not None:
+                        print(f"    Resolved MODEL: {model_str:.4f}  CLIP: {clip_str:.4f} (auditioning at {solo_strength:.4f})")
+                        model_str = clip_str = signed_strength(lora, solo_strength)
+                    
+                    model, clip, coverage = self.apply_lora_with_preset(
+                        model, clip, lora_name, preset, model_str, clip_str,
+                        lora.get("block_weights"), lora.get("clip_weights"), lora_keys
                     )
                     
                     lock_info = []
@@ -251,13 +1077,26 @@ class AdvancedLoraStacker:
                     lock_str = f" [{', '.join(lock_info)}]" if lock_info else ""
                     
                     print(f"  ✓ {lora_name}")
-                    print(f"    Type: {preset}")
+                    print(f"    Type: {preset}{' (subtractive)' if lora.get('subtract', False) else ''}")
                     print(f"    MODEL: {model_str:.4f}  CLIP: {clip_str:.4f}{lock_str}")
                     
                     info_lines.append(f"[Group {group.get('index', 'N/A')}] {lora_name} ({preset}) - M:{model_str:.4f} C:{clip_str:.4f}")
+                    self.report_coverage(lora, coverage, info_lines, coverage_report)
+                    lora_words = lora_trigger_words(lora_name, lora.get("trigger_words"))
+                    trigger_entries.append((model_str, lora_words))
+                    report_entries.append(stack_report_entry(
+                        lora, group, seed, model_str, clip_str, coverage, lora_words
+                    ))
         
         # Process ungrouped LoRAs
-        ungrouped = [l for l in loras if l.get("group_id") is None]
+        ungrouped = [
+            l for l in loras
+            if l.get("group_id") is None and is_enabled(l) and (solo_id is None or l.get("id") == solo_id)
+        ]
+        num_disabled = 0 if solo_id is not None else \
+            sum(1 for l in loras if l.get("group_id") is None and not is_enabled(l))
+        if num_disabled:
+            print(f"\nUngrouped LoRAs - Skipping {num_disabled} disabled LoRA(s)")
         
         if ungrouped:
             print(f"\n{'─'*80}")
@@ -269,43 +1108,101 @@ class AdvancedLoraStacker:
                 preset = lora.get("preset", "Full")
                 
                 if lora_name and lora_name != "None":
+                    if not lora_file_exists(lora_name):
+                        self.report_missing(lora, info_lines, missing)
+                        continue
+                    
+                    # Schedule settings, shared by MODEL and CLIP
+                    steps = max(2, int(lora.get("schedule_steps", 10)))
+                    curve = lora.get("schedule_curve", "linear")
+                    if curve not in SCHEDULE_CURVES:
+                        curve = "linear"
+                    
                     # Determine MODEL strength
                     model_range_info = ""
-                    if lora.get("random_model", False):
+                    if lora.get("schedule_model", False):
+                        start_model = lora.get("start_model", 0.0)
+                        end_model = lora.get("end_model", 1.0)
+                        model_str = schedule_strength(start_model, end_model, step, steps, curve)
+                        model_range_info = f" (step {step % steps + 1}/{steps}, {curve} {start_model:.4f} → {end_model:.4f})"
+                    elif lora.get("random_model", False):
                         min_model = lora.get("min_model", 0.0)
                         max_model = lora.get("max_model", 1.0)
-                        random.seed(seed)
-                        model_str = round(random.uniform(min_model, max_model), 4)
+                        rng = SeededRandom(stable_seed(seed, "lora", lora.get("id"), "model"))
+                        model_str = round(rng.uniform(min_model, max_model), 4)
                         model_range_info = f" (random from {min_model:.4f}-{max_model:.4f})"
                     else:
                         model_str = lora.get("model_strength", 1.0)
                     
                     # Determine CLIP strength
                     clip_range_info = ""
-                    if lora.get("random_clip", False):
+                    if lora.get("schedule_clip", False):
+                        start_clip = lora.get("start_clip", 0.0)
+                        end_clip = lora.get("end_clip", 1.0)
+                        clip_str = schedule_strength(start_clip, end_clip, step, steps, curve)
+                        clip_range_info = f" (step {step % steps + 1}/{steps}, {curve} {start_clip:.4f} → {end_clip:.4f})"
+                    elif lora.get("random_clip", False):
                         min_clip = lora.get("min_clip", 0.0)
                         max_clip = lora.get("max_clip", 1.0)
-                        random.seed(seed + 1)
-                        clip_str = round(random.uniform(min_clip, max_clip), 4)
+                        rng = SeededRandom(stable_seed(seed, "lora", lora.get("id"), "clip"))
+                        clip_str = round(rng.uniform(min_clip, max_clip), 4)
                         clip_range_info = f" (random from {min_clip:.4f}-{max_clip:.4f})"
                     else:
                         clip_str = lora.get("clip_strength", 1.0)
                     
-                    model, clip = self.apply_lora_with_preset(
-                        model, clip, lora_name, preset, model_str, clip_str
+                    model_str = signed_strength(lora, model_str)
+                    clip_str = signed_strength(lora, clip_str)
+                    if solo_strength is not None:
+                        model_str = clip_str = signed_strength(lora, solo_strength)
+                        model_range_info = clip_range_info = " (solo audition)"
+                    
+                    model, clip, coverage = self.apply_lora_with_preset(
+                        model, clip, lora_name, preset, model_str, clip_str,
+                        lora.get("block_weights"), lora.get("clip_weights"), lora_keys
                     )
                     
                     print(f"  ✓ {lora_name}")
-                    print(f"    Type: {preset}")
+                    print(f"    Type: {preset}{' (subtractive)' if lora.get('subtract', False) else ''}")
                     print(f"    MODEL: {model_str:.4f}{model_range_info}")
                     print(f"    CLIP: {clip_str:.4f}{clip_range_info}")
                     
                     info_lines.append(f"{lora_name} ({preset}) - M:{model_str:.4f} C:{clip_str:.4f}")
+                    self.report_coverage(lora, coverage, info_lines, coverage_report)
+                    lora_words = lora_trigger_words(lora_name, lora.get("trigger_words"))
+                    trigger_entries.append((model_str, lora_words))
+                    report_entries.append(stack_report_entry(
+                        lora, None, seed, model_str, clip_str, coverage, lora_words
+                    ))
+        
+        trigger_order = data.get("trigger_order", "stack")
+        if trigger_order not in TRIGGER_WORD_ORDERS:
+            trigger_order = "stack"
+        trigger_delimiter = data.get("trigger_delimiter", ", ")
+        if not isinstance(trigger_delimiter, str):
+            trigger_delimiter = ", "
+        trigger_words = join_trigger_words(trigger_entries, trigger_order, trigger_delimiter)
+        if trigger_words:
+            print(f"\nTrigger words ({trigger_order}): {trigger_words}")
+        
+        if missing:
+            print(f"\n⚠ {len(missing)} LoRA file(s) not found: {', '.join(m['name'] for m in missing)}")
         
         print("="*80 + "\n")
         
         info = "\n".join(info_lines) if info_lines else "No LoRAs applied"
-        return (model, clip, info)
+        report = stack_report(seed, report_entries, missing=[m["name"] for m in missing])
+        lora_info = a1111_lora_info(
+            [(entry["name"], entry["model"]["strength"], entry["clip"]["strength"]) for entry in report_entries]
+        )
+        return {
+            "ui": {
+                "lora_coverage": coverage_report,
+                "missing_loras": missing,
+                "stack_report": [report],
+                "schedule_step": [{"step": step, "source": "seed" if step_index is None else "input"}],
+            },
+            "result": (model, clip, info, trigger_words, json.dumps(report), lora_info),
+        }
 
 
 NODE_CLASS_MAPPINGS = {
@@ -10,11 +10,17 @@ import { ComfyWidgets } from "../../scripts/widgets.js";
 let availableLoRAs = ["None"];
 let loraListPromise = null;
 
+// Whether availableLoRAs holds the server's list yet, so rows aren't flagged missing before it arrives
+let loraListLoaded = false;
+
+// Closest available LoRA per missing name, cleared whenever the list is refetched
+const missingLoraSuggestions = new Map();
+
 /**
- * Fetch available LoRAs from ComfyUI
+ * Fetch available LoRAs from ComfyUI. Pass refresh to pick up files added since the last fetch.
  */
-async function fetchLoraList() {
-    if (loraListPromise) return loraListPromise;
+async function fetchLoraList(refresh = false) {
+    if (loraListPromise && !refresh) return loraListPromise;
     
     loraListPromise = (async () => {
         try {
@@ -23,6 +29,8 @@ async function fetchLoraList() {
             
             if (data?.LoraLoader?.input?.required?.lora_name?.[0]) {
                 availableLoRAs = ["None", ...data.LoraLoader.input.required.lora_name[0]];
+                loraListLoaded = true;
+                missingLoraSuggestions.clear();
             }
         } catch (error) {
             console.error("Failed to fetch LoRA list:", error);
@@ -33,778 +41,4329 @@ async function fetchLoraList() {
 }
 
 /**
- * Save state to localStorage as backup
+ * Whether a LoRA name is not in the loaded LoRA list
+ */
+function isLoraNameMissing(name) {
+    return loraListLoaded && !!name && name !== "None" && !availableLoRAs.includes(name);
+}
+
+/**
+ * The available LoRA a missing one most likely is (renamed or moved), or null
+ */
+function suggestLoraReplacement(name) {
+    if (!missingLoraSuggestions.has(name)) {
+        missingLoraSuggestions.set(name, matchLoraName(name, availableLoRAs.filter(n => n !== name)));
+    }
+    return missingLoraSuggestions.get(name);
+}
+
+/**
+ * Refetch the LoRA list and previews, then redraw every stacker in the graph. Files missing
+ * on the last run are checked against the new list instead.
+ */
+async function refreshLoraList() {
+    await Promise.all([fetchLoraList(true), fetchLoraPreviews(true)]);
+    for (const node of app.graph?._nodes || []) {
+        if (node.type !== "AdvancedLoraStacker") continue;
+        node.lastMissingLoras = null;
+        node.setDirtyCanvas(true, true);
+    }
+    console.log(`[LoRA Stacker] Refreshed LoRA list: ${availableLoRAs.length - 1} LoRA(s)`);
+}
+
+// Names of the stack presets in the shared library (refreshed from the server)
+let stackPresetNames = [];
+
+// User-saved block-weight presets: {name: {model: [...], clip: [...] | null}}
+let blockPresets = {};
+
+/**
+ * Fetch the list of saved stack presets
  */
-function saveStateToLocalStorage(nodeId, state) {
+async function fetchStackPresetList() {
     try {
-        const key = `AdvancedLoraStacker_${nodeId}`;
-        localStorage.setItem(key, JSON.stringify(state));
-        console.log(`[LoRA Stacker] Saved state to localStorage for node ${nodeId}`);
-    } catch (e) {
-        console.error("[LoRA Stacker] Failed to save to localStorage:", e);
+        const response = await fetch('/advanced_lora_stacker/stack_presets');
+        const data = await response.json();
+        if (Array.isArray(data?.presets)) {
+            stackPresetNames = data.presets;
+        }
+    } catch (error) {
+        console.error("[LoRA Stacker] Failed to fetch stack presets:", error);
     }
+    return stackPresetNames;
 }
 
 /**
- * Load state from localStorage
+ * Fetch the user-saved block-weight presets
  */
-function loadStateFromLocalStorage(nodeId) {
+async function fetchBlockPresets() {
     try {
-        const key = `AdvancedLoraStacker_${nodeId}`;
-        const data = localStorage.getItem(key);
-        if (data) {
-            console.log(`[LoRA Stacker] Loaded state from localStorage for node ${nodeId}`);
-            return JSON.parse(data);
+        const response = await fetch('/advanced_lora_stacker/block_presets');
+        const data = await response.json();
+        if (data?.presets && typeof data.presets === "object") {
+            blockPresets = data.presets;
+        }
+    } catch (error) {
+        console.error("[LoRA Stacker] Failed to fetch block presets:", error);
+    }
+    return blockPresets;
+}
+
+/**
+ * Send a request for one preset in a library ("stack_presets" or "block_presets")
+ * and return the parsed body, throwing on server errors
+ */
+async function presetRequest(library, name, options = {}) {
+    const response = await fetch(`/advanced_lora_stacker/${library}/${encodeURIComponent(name)}`, options);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data?.error || `HTTP ${response.status}`);
+    }
+    
+    // Writes answer with the updated library
+    if (data?.presets) {
+        if (library === "stack_presets") {
+            stackPresetNames = data.presets;
+        } else {
+            blockPresets = data.presets;
+        }
+    }
+    return data;
+}
+
+// A1111 extra-network LoRA tags: <lora:name:weights…>, also the LyCORIS <lyco:…> spelling
+const LORA_TAG_PATTERN = /<(?:lora|lyco):([^:>]+)((?::[^:>]*)*)>/gi;
+
+/**
+ * Parse the A1111 LoRA tags in a prompt into [{name, model, clip}].
+ * A1111 reads positional weights as te then unet (unet defaults to te), and named
+ * te=/unet= weights override them. te is the CLIP strength and unet the MODEL strength.
+ */
+function parseLoraTags(text) {
+    const tags = [];
+    for (const match of String(text).matchAll(LORA_TAG_PATTERN)) {
+        const positional = [];
+        const named = {};
+        for (const param of match[2].split(":").slice(1)) {
+            const [key, value] = param.includes("=") ? param.split("=", 2) : [null, param];
+            const number = parseFloat(value);
+            if (!Number.isFinite(number)) continue;
+            if (key) {
+                named[key.trim().toLowerCase()] = number;
+            } else {
+                positional.push(number);
+            }
+        }
+        
+        const te = named.te ?? positional[0] ?? 1.0;
+        const unet = named.unet ?? positional[1] ?? te;
+        tags.push({ name: match[1].trim(), model: unet, clip: te });
+    }
+    return tags;
+}
+
+/**
+ * Read the text chunks (tEXt and uncompressed iTXt) of a PNG file as {keyword: text}
+ */
+function readPngTextChunks(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (bytes.length < 8 || signature.some((b, i) => bytes[i] !== b)) {
+        throw new Error("Not a PNG file");
+    }
+    
+    const latin1 = new TextDecoder("latin1");
+    const utf8 = new TextDecoder("utf-8");
+    const chunks = {};
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        
+        if (type === "tEXt") {
+            const sep = data.indexOf(0);
+            chunks[latin1.decode(data.subarray(0, sep))] = latin1.decode(data.subarray(sep + 1));
+        } else if (type === "iTXt") {
+            // keyword \0 compression flag, method, language tag \0 translated keyword \0 text
+            const keywordEnd = data.indexOf(0);
+            const compressed = data[keywordEnd + 1] === 1;
+            const languageEnd = data.indexOf(0, keywordEnd + 3);
+            const translatedEnd = data.indexOf(0, languageEnd + 1);
+            if (!compressed) {
+                chunks[latin1.decode(data.subarray(0, keywordEnd))] = utf8.decode(data.subarray(translatedEnd + 1));
+            }
+        } else if (type === "IEND") {
+            break;
+        }
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Normalize a LoRA name for matching: no folders or extension, lowercase letters and digits only
+ */
+function normalizeLoraName(name) {
+    return String(name).split(/[\\/]/).pop().replace(/\.(safetensors|ckpt|pt|pth|bin)$/i, "")
+        .toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Edit-distance similarity of two strings, from 0 (nothing in common) to 1 (equal).
+ * Swapped neighbouring letters count as one edit, so typos like "detial" still match.
+ */
+function nameSimilarity(a, b) {
+    if (!a.length || !b.length) return a === b ? 1 : 0;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return 1 - d[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+// Names less similar than this to every available LoRA are reported as unresolved
+const LORA_MATCH_MIN_SIMILARITY = 0.75;
+
+// Shorter names than this only match exactly or by spelling, not by containment
+const LORA_MATCH_MIN_CONTAINED_LENGTH = 4;
+
+/**
+ * Find the available LoRA a tag name most likely refers to, or null.
+ * Exact filename matches win, then names that contain one another, then the closest
+ * spelling above LORA_MATCH_MIN_SIMILARITY.
+ */
+function matchLoraName(name, available) {
+    const target = normalizeLoraName(name);
+    if (!target) return null;
+    
+    const candidates = available.filter(n => n !== "None").map(n => ({ name: n, key: normalizeLoraName(n) }));
+    const exact = candidates.find(c => c.key === target);
+    if (exact) return exact.name;
+    
+    // Prefer the candidate whose length is closest, e.g. "style" → "style_v2" over "my_style_pack_v10"
+    const containing = candidates
+        .filter(c => Math.min(c.key.length, target.length) >= LORA_MATCH_MIN_CONTAINED_LENGTH)
+        .filter(c => c.key.includes(target) || target.includes(c.key))
+        .sort((a, b) => Math.abs(a.key.length - target.length) - Math.abs(b.key.length - target.length));
+    if (containing.length) return containing[0].name;
+    
+    let best = null;
+    let bestScore = LORA_MATCH_MIN_SIMILARITY;
+    for (const candidate of candidates) {
+        const score = nameSimilarity(target, candidate.key);
+        if (score >= bestScore) {
+            best = candidate.name;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * The name A1111 gives a LoRA: its filename without folders or extension.
+ * Mirrors a1111_lora_name in Python.
+ */
+function a1111LoraName(name) {
+    return String(name).split(/[\\/]/).pop().replace(/\.[^.]+$/, "").replace(/[:,]/g, "");
+}
+
+/**
+ * An A1111 LoRA tag, like a1111_lora_info in Python. A1111 reads a single weight as both
+ * strengths, so a differing CLIP strength is written as te= with the MODEL strength as unet=.
+ */
+function formatLoraTag(name, model, clip) {
+    const te = clip !== model ? `:te=${round4(clip)}:unet=${round4(model)}` : "";
+    return `<lora:${a1111LoraName(name)}:${round4(model)}${te}>`;
+}
+
+/**
+ * Message lines listing the LoRAs an export left out because their files are missing
+ */
+function skippedMissingNote(skipped) {
+    return skipped.length ? `\n\nSkipped, file not found:\n${skipped.join("\n")}` : "";
+}
+
+/**
+ * Names of resolved LoRAs ([{lora, model, clip}]) whose block targeting an export to
+ * A1111 tags or LoraLoader nodes can't carry over
+ */
+function blockTargetedNames(resolved) {
+    return resolved
+        .filter(r => r.lora.preset !== "Full" || r.lora.block_weights)
+        .map(r => `${a1111LoraName(r.lora.name)} (${r.lora.preset})`);
+}
+
+/**
+ * Look up a link by id in a LiteGraph graph (links is a Map in newer LiteGraph versions)
+ */
+function getGraphLink(graph, linkId) {
+    if (linkId == null) return null;
+    return graph.links instanceof Map ? graph.links.get(linkId) : graph.links[linkId];
+}
+
+// Safetensors training metadata per LoRA name: {status: "loading" | "ok" | "error", data, error}
+const loraMetadataCache = new Map();
+
+/**
+ * Fetch the metadata summary for a LoRA once, calling onLoaded when it arrives
+ */
+function fetchLoraMetadata(name, onLoaded) {
+    if (!name || name === "None") return null;
+    if (loraMetadataCache.has(name)) return loraMetadataCache.get(name);
+    
+    const entry = { status: "loading", data: null, error: null };
+    loraMetadataCache.set(name, entry);
+    (async () => {
+        try {
+            const response = await fetch(`/advanced_lora_stacker/lora_metadata?name=${encodeURIComponent(name)}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data?.error || `HTTP ${response.status}`);
+            entry.status = "ok";
+            entry.data = data;
+        } catch (error) {
+            entry.status = "error";
+            entry.error = error.message;
+            console.error(`[LoRA Stacker] Failed to fetch metadata for ${name}:`, error);
+        }
+        onLoaded?.();
+    })();
+    return entry;
+}
+
+// Names of the LoRAs that have a preview image next to them (refreshed from the server)
+let loraPreviewNames = new Set();
+let loraPreviewPromise = null;
+
+/**
+ * Fetch which LoRAs have preview images. Pass refresh to pick up images added since the last fetch.
+ */
+async function fetchLoraPreviews(refresh = false) {
+    if (loraPreviewPromise && !refresh) return loraPreviewPromise;
+    
+    loraPreviewPromise = (async () => {
+        try {
+            const response = await fetch('/advanced_lora_stacker/lora_previews');
+            const data = await response.json();
+            if (Array.isArray(data?.previews)) {
+                loraPreviewNames = new Set(data.previews);
+            }
+        } catch (error) {
+            console.error("[LoRA Stacker] Failed to fetch LoRA previews:", error);
         }
+    })();
+    
+    return loraPreviewPromise;
+}
+
+// Picker favourites and recently used LoRAs are per browser, not per workflow
+const LORA_FAVORITES_KEY = "AdvancedLoraStacker_favorites";
+const LORA_RECENT_KEY = "AdvancedLoraStacker_recent";
+const MAX_RECENT_LORAS = 15;
+
+// Rows the picker renders at once; narrower searches show the rest
+const MAX_PICKER_RESULTS = 200;
+
+/**
+ * Read a list of LoRA names from localStorage
+ */
+function loadLoraNameList(key) {
+    try {
+        const names = JSON.parse(localStorage.getItem(key) || "[]");
+        return Array.isArray(names) ? names.filter(n => typeof n === "string") : [];
     } catch (e) {
-        console.error("[LoRA Stacker] Failed to load from localStorage:", e);
+        console.error(`[LoRA Stacker] Failed to read ${key}:`, e);
+        return [];
     }
-    return null;
 }
 
-app.registerExtension({
-    name: "advanced_lora_stacker.AdvancedLoraStacker",
+/**
+ * Write a list of LoRA names to localStorage
+ */
+function saveLoraNameList(key, names) {
+    try {
+        localStorage.setItem(key, JSON.stringify(names));
+    } catch (e) {
+        console.error(`[LoRA Stacker] Failed to write ${key}:`, e);
+    }
+}
+
+/**
+ * Move a LoRA to the front of the recently used list
+ */
+function addRecentLora(name) {
+    if (!name || name === "None") return;
+    const recent = loadLoraNameList(LORA_RECENT_KEY).filter(n => n !== name);
+    saveLoraNameList(LORA_RECENT_KEY, [name, ...recent].slice(0, MAX_RECENT_LORAS));
+}
+
+/**
+ * Score how well a search matches a LoRA path, or null if it doesn't. Every
+ * space-separated term must match, either as a substring or as a subsequence of
+ * characters; substrings, runs and matches at word starts score higher.
+ */
+function fuzzyMatchScore(query, text) {
+    const haystack = text.toLowerCase();
+    const isWordStart = (index) => index === 0 || /[\\/_\-. ]/.test(haystack[index - 1]);
     
-    async beforeRegisterNodeDef(nodeType, nodeData, app) {
-        if (nodeData.name !== "AdvancedLoraStacker") return;
+    let score = 0;
+    for (const term of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+        const index = haystack.indexOf(term);
+        if (index >= 0) {
+            score += 100 + term.length * 3 + (isWordStart(index) ? 20 : 0);
+            continue;
+        }
         
-        // Fetch LoRA list on load
-        await fetchLoraList();
+        let position = -1;
+        let run = 0;
+        for (const char of term) {
+            const next = haystack.indexOf(char, position + 1);
+            if (next < 0) return null;
+            run = next === position + 1 ? run + 1 : 0;
+            score += 1 + run * 2 + (isWordStart(next) ? 3 : 0);
+            position = next;
+        }
+    }
+    return score;
+}
+
+/**
+ * Split a LoRA name into its folder path ("" at the top level, "/"-separated) and file name
+ */
+function splitLoraPath(name) {
+    const parts = name.split(/[\\/]/);
+    return { folder: parts.slice(0, -1).join("/"), file: parts[parts.length - 1] };
+}
+
+/**
+ * Build the folder tree of the LoRA list: {name, path, count, folders: Map}, where count
+ * includes the LoRAs in subfolders
+ */
+function buildLoraFolderTree(names) {
+    const root = { name: "", path: "", count: 0, folders: new Map() };
+    for (const name of names) {
+        let folder = root;
+        root.count++;
+        const { folder: path } = splitLoraPath(name);
+        for (const part of path ? path.split("/") : []) {
+            if (!folder.folders.has(part)) {
+                folder.folders.set(part, {
+                    name: part,
+                    path: folder.path ? `${folder.path}/${part}` : part,
+                    count: 0,
+                    folders: new Map()
+                });
+            }
+            folder = folder.folders.get(part);
+            folder.count++;
+        }
+    }
+    return root;
+}
+
+/**
+ * Open the LoRA picker dialog: fuzzy search, a folder tree, preview thumbnails,
+ * favourites and recently used. Calls onSelect with the chosen name ("None" clears).
+ */
+async function showLoraPicker(current, onSelect) {
+    await Promise.all([fetchLoraList(), fetchLoraPreviews()]);
+    const names = availableLoRAs.filter(n => n !== "None");
+    const tree = buildLoraFolderTree(names);
+    const favorites = new Set(loadLoraNameList(LORA_FAVORITES_KEY));
+    const recent = loadLoraNameList(LORA_RECENT_KEY).filter(n => names.includes(n));
+    
+    // The source is "all", "favorites", "recent" or a folder path prefixed with "folder:"
+    let source = "all";
+    let results = [];
+    let highlighted = 0;
+    
+    const root = document.createElement("div");
+    Object.assign(root.style, {
+        display: "flex",
+        flexDirection: "column",
+        gap: "8px",
+        width: "760px",
+        maxWidth: "85vw",
+        height: "70vh",
+        textAlign: "left",
+        fontSize: "13px"
+    });
+    
+    const search = document.createElement("input");
+    search.type = "search";
+    search.placeholder = `Search ${names.length} LoRAs…`;
+    Object.assign(search.style, { padding: "6px 8px", fontSize: "14px" });
+    
+    const body = document.createElement("div");
+    Object.assign(body.style, { display: "flex", gap: "8px", flex: "1", minHeight: "0" });
+    
+    const sidebar = document.createElement("div");
+    Object.assign(sidebar.style, { width: "200px", flexShrink: "0", overflowY: "auto", borderRight: "1px solid #444" });
+    
+    const list = document.createElement("div");
+    Object.assign(list.style, { flex: "1", overflowY: "auto" });
+    
+    body.append(sidebar, list);
+    root.append(search, body);
+    
+    const choose = (name) => {
+        addRecentLora(name);
+        app.ui.dialog.close();
+        onSelect(name);
+    };
+    
+    // Offer the closest match for a LoRA that is no longer in the list
+    const suggestion = isLoraNameMissing(current) ? suggestLoraReplacement(current) : null;
+    if (isLoraNameMissing(current)) {
+        const banner = document.createElement("div");
+        banner.textContent = suggestion
+            ? `⚠ ${current} is missing. Closest match: ${suggestion} (click to use)`
+            : `⚠ ${current} is missing and nothing similar was found.`;
+        Object.assign(banner.style, {
+            padding: "6px 8px",
+            borderRadius: "4px",
+            background: "#4a2a1a",
+            color: "#ffcf99",
+            cursor: suggestion ? "pointer" : "default"
+        });
+        if (suggestion) banner.addEventListener("click", () => choose(suggestion));
+        root.insertBefore(banner, body);
+    }
+    
+    const renderSidebar = () => {
+        sidebar.replaceChildren();
+        const addEntry = (label, key, depth = 0) => {
+            const entry = document.createElement("div");
+            entry.textContent = label;
+            Object.assign(entry.style, {
+                padding: `3px 6px 3px ${6 + depth * 12}px`,
+                cursor: "pointer",
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                background: source === key ? "#345" : "transparent"
+            });
+            entry.addEventListener("click", () => {
+                source = key;
+                renderSidebar();
+                renderResults();
+            });
+            sidebar.appendChild(entry);
+        };
         
-        const onNodeCreated = nodeType.prototype.onNodeCreated;
-        nodeType.prototype.onNodeCreated = function() {
-            const r = onNodeCreated ? onNodeCreated.apply(this, arguments) : undefined;
-            
-            console.log("[LoRA Stacker] Node created, ID:", this.id);
-            
-            // Initialize state
-            this.loraState = {
-                groups: [],
-                loras: []
-            };
-            this.nextGroupId = 1;
-            this.nextLoraId = 1;
-            this.collapsedGroups = new Set();
-            
-            // Set initial size
-            this.setSize([450, 140]);
-            
-            // Find or create the stack_data widget (should exist from Python INPUT_TYPES)
-            this.stackDataWidget = this.widgets.find(w => w.name === "stack_data");
-            if (!this.stackDataWidget) {
-                console.log("[LoRA Stacker] Creating stack_data widget");
-                this.stackDataWidget = ComfyWidgets.STRING(this, "stack_data", ["STRING", {default: ""}], app).widget;
+        addEntry(`All (${names.length})`, "all");
+        addEntry(`★ Favourites (${[...favorites].filter(n => names.includes(n)).length})`, "favorites");
+        addEntry(`🕘 Recent (${recent.length})`, "recent");
+        const addFolders = (folder, depth) => {
+            const children = [...folder.folders.values()].sort((a, b) => a.name.localeCompare(b.name));
+            for (const child of children) {
+                addEntry(`📁 ${child.name} (${child.count})`, `folder:${child.path}`, depth);
+                addFolders(child, depth + 1);
             }
-            
-            // Mark as hidden and ensure serialization
-            this.stackDataWidget.type = "converted-widget";
-            this.stackDataWidget.computeSize = () => [0, -4];
-            this.stackDataWidget.serializeValue = () => {
-                return this.stackDataWidget.value;
-            };
-            
-            // Create main action buttons
-            this.addLoraButton = this.addWidget("button", "➕ Add LoRA", null, () => {
-                this.addLora(null);
+        };
+        addFolders(tree, 0);
+    };
+    
+    const renderResults = () => {
+        const query = search.value.trim();
+        let pool = names;
+        if (source === "favorites") {
+            pool = names.filter(n => favorites.has(n));
+        } else if (source === "recent") {
+            pool = recent;
+        } else if (source.startsWith("folder:")) {
+            const path = source.slice("folder:".length);
+            pool = names.filter(n => {
+                const { folder } = splitLoraPath(n);
+                return folder === path || folder.startsWith(`${path}/`);
             });
-            
-            this.addGroupButton = this.addWidget("button", "➕ Add Group", null, () => {
-                this.addGroup();
+        }
+        
+        if (query) {
+            results = pool
+                .map(name => {
+                    // Matches in the file name rank above matches only in the folders
+                    const fileScore = fuzzyMatchScore(query, splitLoraPath(name).file);
+                    const score = fileScore !== null ? fileScore + 50 : fuzzyMatchScore(query, name);
+                    return { name, score };
+                })
+                .filter(r => r.score !== null)
+                .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+                .map(r => r.name);
+        } else {
+            results = source === "all" ? ["None", ...pool] : pool;
+        }
+        const currentIndex = results.indexOf(current);
+        highlighted = currentIndex >= 0 && currentIndex < MAX_PICKER_RESULTS ? currentIndex : 0;
+        
+        list.replaceChildren();
+        results.slice(0, MAX_PICKER_RESULTS).forEach((name, index) => {
+            const { folder, file } = splitLoraPath(name);
+            const row = document.createElement("div");
+            row.dataset.index = index;
+            Object.assign(row.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                padding: "4px 6px",
+                cursor: "pointer",
+                borderRadius: "4px"
             });
             
-            // Save state whenever something changes
-            this.saveState = () => {
-                if (this._saving) return; // Prevent recursion
-                this._saving = true;
-                
-                const stateJson = JSON.stringify(this.loraState);
-                this.stackDataWidget.value = stateJson;
-                
-                // Also save to localStorage as backup
-                if (this.id) {
-                    saveStateToLocalStorage(this.id, this.loraState);
-                }
-                
-                console.log("[LoRA Stacker] State saved:", stateJson.substring(0, 100) + "...");
-                this._saving = false;
-            };
+            const thumb = document.createElement(loraPreviewNames.has(name) ? "img" : "div");
+            Object.assign(thumb.style, { width: "48px", height: "48px", flexShrink: "0", borderRadius: "3px", background: "#2a2a2a", objectFit: "cover" });
+            if (loraPreviewNames.has(name)) {
+                thumb.loading = "lazy";
+                thumb.src = `/advanced_lora_stacker/lora_preview?name=${encodeURIComponent(name)}`;
+            }
             
-            // Load state when node is configured (workflow loaded)
-            const originalConfigure = this.onConfigure;
-            this.onConfigure = (info) => {
-                if (originalConfigure) {
-                    originalConfigure.call(this, info);
-                }
-                
-                console.log("[LoRA Stacker] onConfigure called");
-                
-                // Try to load from widget value first
-                if (info.widgets_values) {
-                    const stackDataIndex = this.widgets.findIndex(w => w.name === "stack_data");
-                    if (stackDataIndex >= 0 && info.widgets_values[stackDataIndex]) {
-                        const stateJson = info.widgets_values[stackDataIndex];
-                        console.log("[LoRA Stacker] Loading from widgets_values:", stateJson.substring(0, 100) + "...");
-                        this.stackDataWidget.value = stateJson;
+            const label = document.createElement("div");
+            Object.assign(label.style, { flex: "1", minWidth: "0", overflow: "hidden" });
+            const title = document.createElement("div");
+            title.textContent = file;
+            Object.assign(title.style, { fontWeight: name === current ? "bold" : "normal", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" });
+            const path = document.createElement("div");
+            path.textContent = folder || (name === "None" ? "No LoRA" : "");
+            Object.assign(path.style, { color: "#888", fontSize: "11px", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" });
+            label.append(title, path);
+            row.append(thumb, label);
+            
+            if (name !== "None") {
+                const star = document.createElement("span");
+                star.textContent = favorites.has(name) ? "★" : "☆";
+                star.title = favorites.has(name) ? "Remove from favourites" : "Add to favourites";
+                Object.assign(star.style, { fontSize: "18px", color: favorites.has(name) ? "#ffd966" : "#777", padding: "0 6px" });
+                star.addEventListener("click", (event) => {
+                    event.stopPropagation();
+                    if (favorites.has(name)) {
+                        favorites.delete(name);
+                    } else {
+                        favorites.add(name);
                     }
-                }
-                
-                // Restore UI from state
-                this.restoreState();
-            };
+                    saveLoraNameList(LORA_FAVORITES_KEY, [...favorites]);
+                    renderSidebar();
+                    renderResults();
+                });
+                row.appendChild(star);
+            }
             
-            // Ensure state is saved before serialization
-            const originalGetWidgetValue = this.widgets[0].serializeValue || (() => this.widgets[0].value);
-            if (this.stackDataWidget) {
-                this.stackDataWidget.serializeValue = () => {
+            row.addEventListener("click", () => choose(name));
+            row.addEventListener("mouseenter", () => {
+                highlighted = index;
+                updateHighlight();
+            });
+            list.appendChild(row);
+        });
+        
+        if (!results.length) {
+            list.textContent = query ? "No LoRAs match this search." : "No LoRAs here.";
+        } else if (results.length > MAX_PICKER_RESULTS) {
+            const more = document.createElement("div");
+            more.textContent = `${results.length - MAX_PICKER_RESULTS} more — refine the search to see them`;
+            Object.assign(more.style, { color: "#888", padding: "6px" });
+            list.appendChild(more);
+        }
+        updateHighlight();
+    };
+    
+    const updateHighlight = () => {
+        for (const row of list.querySelectorAll("[data-index]")) {
+            row.style.background = Number(row.dataset.index) === highlighted ? "#345" : "transparent";
+        }
+        list.querySelector(`[data-index="${highlighted}"]`)?.scrollIntoView({ block: "nearest" });
+    };
+    
+    search.addEventListener("input", renderResults);
+    search.addEventListener("keydown", (event) => {
+        const shown = Math.min(results.length, MAX_PICKER_RESULTS);
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            event.preventDefault();
+            if (!shown) return;
+            highlighted = (highlighted + (event.key === "ArrowDown" ? 1 : shown - 1)) % shown;
+            updateHighlight();
+        } else if (event.key === "Enter" && results[highlighted] !== undefined) {
+            event.preventDefault();
+            choose(results[highlighted]);
+        }
+    });
+    
+    renderSidebar();
+    renderResults();
+    app.ui.dialog.show(root);
+    setTimeout(() => search.focus(), 0);
+}
+
+// Recovery snapshots: the last saved state of each stacker, one localStorage key per
+// workflow and node, plus an index used for eviction and the recovery panel
+const RECOVERY_KEY_PREFIX = "AdvancedLoraStacker_recovery:";
+const RECOVERY_INDEX_KEY = "AdvancedLoraStacker_recovery_index";
+const MAX_RECOVERY_SNAPSHOTS = 50;
+const MAX_RECOVERY_BYTES = 2 * 1024 * 1024;
+
+// Backups written before the recovery store, keyed by node ID alone
+const LEGACY_BACKUP_PATTERN = /^AdvancedLoraStacker_(\d+)$/;
+
+/**
+ * Identity and display name of the open workflow. The graph ID is saved in the workflow
+ * file; older frontends without one fall back to the workflow's path.
+ */
+function currentWorkflow() {
+    const workflow = app.extensionManager?.workflow?.activeWorkflow ?? app.workflowManager?.activeWorkflow;
+    const name = workflow?.filename ?? workflow?.name ?? "Unsaved workflow";
+    return { id: String(app.graph?.id || workflow?.path || name), name };
+}
+
+/**
+ * Read the recovery index: [{key, workflow, workflowName, nodeId, savedAt, bytes}]
+ */
+function loadRecoveryIndex() {
+    try {
+        const index = JSON.parse(localStorage.getItem(RECOVERY_INDEX_KEY) || "[]");
+        return Array.isArray(index) ? index.filter(e => typeof e?.key === "string") : [];
+    } catch (e) {
+        console.error("[LoRA Stacker] Failed to read the recovery index:", e);
+        return [];
+    }
+}
+
+/**
+ * Save a recovery snapshot of a node's state. The least recently saved snapshots are
+ * evicted to stay within MAX_RECOVERY_SNAPSHOTS, MAX_RECOVERY_BYTES and the browser quota.
+ */
+function saveRecoverySnapshot(nodeId, state, workflow = currentWorkflow()) {
+    const key = `${RECOVERY_KEY_PREFIX}${workflow.id}:${nodeId}`;
+    const json = JSON.stringify(state);
+    if (json.length > MAX_RECOVERY_BYTES) {
+        console.warn(`[LoRA Stacker] Stack of node ${nodeId} is too large for a recovery snapshot`);
+        return;
+    }
+    
+    // Oldest first, with this snapshot last so it is never the one evicted
+    const index = loadRecoveryIndex().filter(e => e.key !== key).sort((a, b) => a.savedAt - b.savedAt);
+    index.push({ key, workflow: workflow.id, workflowName: workflow.name, nodeId, savedAt: workflow.savedAt ?? Date.now(), bytes: json.length });
+    const evictOldest = () => localStorage.removeItem(index.shift().key);
+    while (index.length > MAX_RECOVERY_SNAPSHOTS ||
+           (index.length > 1 && index.reduce((sum, e) => sum + e.bytes, 0) > MAX_RECOVERY_BYTES)) {
+        evictOldest();
+    }
+    
+    for (;;) {
+        try {
+            localStorage.setItem(key, json);
+            localStorage.setItem(RECOVERY_INDEX_KEY, JSON.stringify(index));
+            return;
+        } catch (e) {
+            // Out of quota: make room, unless this snapshot is all that is left
+            if (index.length <= 1) {
+                console.error("[LoRA Stacker] Failed to save a recovery snapshot:", e);
+                return;
+            }
+            evictOldest();
+        }
+    }
+}
+
+/**
+ * Load the state stored in a recovery snapshot, or null if it is gone or unreadable
+ */
+function loadRecoverySnapshot(key) {
+    try {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : null;
+    } catch (e) {
+        console.error("[LoRA Stacker] Failed to read a recovery snapshot:", e);
+        return null;
+    }
+}
+
+/**
+ * Delete recovery snapshots by key
+ */
+function deleteRecoverySnapshots(keys) {
+    for (const key of keys) {
+        localStorage.removeItem(key);
+    }
+    const index = loadRecoveryIndex().filter(e => !keys.includes(e.key));
+    localStorage.setItem(RECOVERY_INDEX_KEY, JSON.stringify(index));
+}
+
+/**
+ * Move backups from before the recovery store into it. Their workflow is unknown, so they
+ * are only offered in the recovery panel, and are the first to be evicted.
+ */
+function migrateLegacyBackups() {
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (LEGACY_BACKUP_PATTERN.test(key)) legacyKeys.push(key);
+    }
+    
+    for (const key of legacyKeys) {
+        const nodeId = Number(key.match(LEGACY_BACKUP_PATTERN)[1]);
+        const state = loadRecoverySnapshot(key);
+        if (state) {
+            saveRecoverySnapshot(nodeId, state, { id: "legacy", name: "Unknown workflow (older version)", savedAt: 0 });
+        }
+        localStorage.removeItem(key);
+    }
+    if (legacyKeys.length) {
+        console.log(`[LoRA Stacker] Moved ${legacyKeys.length} old backup(s) into the recovery store`);
+    }
+}
+
+/**
+ * One line describing a stack: its group and LoRA counts and the first LoRA names
+ */
+function describeStack(state) {
+    const loras = (state?.loras || []).filter(l => l.name && l.name !== "None");
+    const names = loras.slice(0, 3).map(l => a1111LoraName(l.name));
+    const more = loras.length > names.length ? `, +${loras.length - names.length} more` : "";
+    const groups = state?.groups?.length || 0;
+    return `${groups} group${groups === 1 ? "" : "s"}, ${loras.length} LoRA${loras.length === 1 ? "" : "s"}` +
+        (names.length ? `: ${names.join(", ")}${more}` : "");
+}
+
+/**
+ * Current version of the stack_data schema.
+ * Bump this and add a step to STATE_MIGRATIONS whenever the shape of loraState changes.
+ */
+const STATE_SCHEMA_VERSION = 11;
+
+/**
+ * Raised when a stack_data payload cannot be upgraded to the current schema
+ */
+class StateMigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "StateMigrationError";
+    }
+}
+
+/**
+ * Migration steps keyed by the version they upgrade FROM.
+ * Each step receives a state at that version and returns it at version + 1.
+ */
+const STATE_MIGRATIONS = {
+    // v1: unversioned payloads, written by both advanced_lora_stacker_old.js and the
+    // first v2 frontend. Same groups/loras shape, but fields may be missing or undefined.
+    1: (state) => {
+        const groups = (state.groups || []).map((g, i) => ({
+            id: g.id,
+            index: g.index ?? i + 1,
+            max_model: g.max_model ?? 1.0,
+            max_clip: g.max_clip ?? 1.0
+        }));
+        const groupIds = new Set(groups.map(g => g.id));
+        
+        const loras = (state.loras || []).map(l => {
+            // The old frontend restored LoRAs with an unknown group as ungrouped
+            const groupId = l.group_id != null && groupIds.has(l.group_id) ? l.group_id : null;
+            const lora = {
+                id: l.id,
+                group_id: groupId,
+                name: l.name || "None",
+                preset: l.preset || "Full"
+            };
+            
+            if (groupId === null) {
+                lora.model_strength = l.model_strength ?? 1.0;
+                lora.clip_strength = l.clip_strength ?? 1.0;
+                lora.random_model = !!l.random_model;
+                lora.min_model = l.min_model ?? 0.0;
+                lora.max_model = l.max_model ?? 1.0;
+                lora.random_clip = !!l.random_clip;
+                lora.min_clip = l.min_clip ?? 0.0;
+                lora.max_clip = l.max_clip ?? 1.0;
+            } else {
+                lora.lock_model = !!l.lock_model;
+                lora.locked_model_value = l.locked_model_value ?? 0.0;
+                lora.lock_clip = !!l.lock_clip;
+                lora.locked_clip_value = l.locked_clip_value ?? 0.0;
+            }
+            
+            return lora;
+        });
+        
+        return { schema_version: 2, groups, loras };
+    },
+    
+    // v2 -> v3: per-LoRA custom block-weight vector (null = use the preset)
+    2: (state) => ({
+        ...state,
+        schema_version: 3,
+        loras: (state.loras || []).map(l => ({ ...l, block_weights: l.block_weights ?? null }))
+    }),
+    
+    // v3 -> v4: CLIP layer weights, and LoRAs with a block vector show as "Custom"
+    3: (state) => ({
+        ...state,
+        schema_version: 4,
+        loras: (state.loras || []).map(l => ({
+            ...l,
+            preset: l.block_weights && BUILTIN_PRESETS.includes(l.preset) ? "Custom" : l.preset,
+            clip_weights: l.clip_weights ?? null
+        }))
+    }),
+    
+    // v4 -> v5: per-LoRA trigger word override (null = from metadata) and trigger_words output settings
+    4: (state) => ({
+        ...state,
+        schema_version: 5,
+        trigger_order: state.trigger_order ?? "stack",
+        trigger_delimiter: state.trigger_delimiter ?? ", ",
+        loras: (state.loras || []).map(l => ({ ...l, trigger_words: l.trigger_words ?? null }))
+    }),
+    
+    // v5 -> v6: enabled flags on groups and LoRAs, and what a group does with a disabled LoRA's share
+    5: (state) => ({
+        ...state,
+        schema_version: 6,
+        groups: (state.groups || []).map(g => ({
+            ...g,
+            enabled: g.enabled ?? true,
+            disabled_share: g.disabled_share ?? "drop"
+        })),
+        loras: (state.loras || []).map(l => ({ ...l, enabled: l.enabled ?? true }))
+    }),
+    
+    // v6 -> v7: solo mode (the one LoRA applied, or null) and its audition strength (null = resolved)
+    6: (state) => ({
+        ...state,
+        schema_version: 7,
+        solo_lora_id: state.solo_lora_id ?? null,
+        solo_strength: state.solo_strength ?? null
+    }),
+    
+    // v7 -> v8: per-group distribution mode and its settings, and per-LoRA weights for grouped LoRAs
+    7: (state) => ({
+        ...state,
+        schema_version: 8,
+        groups: (state.groups || []).map(g => ({
+            ...g,
+            distribution: g.distribution ?? "uniform",
+            concentration: g.concentration ?? 1.0,
+            clamp_min: g.clamp_min ?? 0.1,
+            clamp_max: g.clamp_max ?? 1.0
+        })),
+        loras: (state.loras || []).map(l => l.group_id != null ? { ...l, weight: l.weight ?? 1.0 } : l)
+    }),
+    
+    // v8 -> v9: subtractive LoRAs, applied with their strength negated
+    8: (state) => ({
+        ...state,
+        schema_version: 9,
+        loras: (state.loras || []).map(l => ({ ...l, subtract: l.subtract ?? false }))
+    }),
+    
+    // v9 -> v10: strength schedules for ungrouped LoRAs
+    9: (state) => ({
+        ...state,
+        schema_version: 10,
+        loras: (state.loras || []).map(l => l.group_id == null ? { ...SCHEDULE_DEFAULTS, ...l } : l)
+    }),
+    
+    // v10 -> v11: group collapse state, which was not saved before
+    10: (state) => ({
+        ...state,
+        schema_version: 11,
+        groups: (state.groups || []).map(g => ({ ...g, collapsed: g.collapsed ?? false }))
+    })
+};
+
+// What a group does with a disabled LoRA's share: leave it unused, or partition the budget
+// among the enabled LoRAs only. Mirrors DISABLED_SHARE_MODES in Python.
+const DISABLED_SHARE_MODES = {
+    "drop": "Drop (others unchanged)",
+    "redistribute": "Redistribute to others"
+};
+
+// How a group splits its budget among unlocked LoRAs. Mirrors DISTRIBUTION_MODES in Python.
+const DISTRIBUTION_MODES = {
+    "uniform": "Uniform (stick-breaking)",
+    "equal": "Equal split",
+    "dirichlet": "Dirichlet",
+    "weighted": "Weighted",
+    "clamped": "Clamped (min/max)"
+};
+
+// Smallest Dirichlet concentration, as MIN_CONCENTRATION in Python
+const MIN_CONCENTRATION = 0.05;
+
+// Curves a strength schedule can follow from start to end. Mirrors SCHEDULE_CURVES in Python.
+const SCHEDULE_CURVES = {
+    "linear": "Linear",
+    "ease_in": "Ease in",
+    "ease_out": "Ease out",
+    "ease_in_out": "Ease in-out"
+};
+
+// Schedule fields of an ungrouped LoRA that has never had one
+const SCHEDULE_DEFAULTS = {
+    schedule_model: false,
+    start_model: 0.0,
+    end_model: 1.0,
+    schedule_clip: false,
+    start_clip: 0.0,
+    end_clip: 1.0,
+    schedule_curve: "linear",
+    schedule_steps: 10
+};
+
+// How the trigger_words output orders words. Mirrors TRIGGER_WORD_ORDERS in Python.
+const TRIGGER_WORD_ORDERS = {
+    "stack": "Stack order",
+    "strength": "Strongest first",
+    "alphabetical": "Alphabetical"
+};
+
+// UNet blocks a block-weight vector addresses, in vector order. Mirrors BLOCK_NAMES in Python.
+const BLOCK_NAMES = [
+    ...Array.from({ length: 12 }, (_, i) => `IN${String(i).padStart(2, "0")}`),
+    "MID",
+    ...Array.from({ length: 12 }, (_, i) => `OUT${String(i).padStart(2, "0")}`)
+];
+
+// Text encoder layer groups a CLIP weight vector addresses. Mirrors CLIP_LAYER_NAMES in Python.
+const CLIP_LAYER_NAMES = Array.from({ length: 12 }, (_, i) => `TE${String(i).padStart(2, "0")}`);
+
+// Built-in Type presets and their ranges on the coarse 0-11 block scale (null = all blocks)
+const PRESET_BLOCK_RANGES = {
+    "Full": null,
+    "Character": [4, 11],
+    "Style": [0, 5],
+    "Concept": [6, 11],
+    "Fix Hands": [8, 11]
+};
+const BUILTIN_PRESETS = Object.keys(PRESET_BLOCK_RANGES);
+
+// Block editor slider range
+const BLOCK_WEIGHT_MAX = 1.5;
+const BLOCK_WEIGHT_STEP = 0.05;
+
+/**
+ * Block-weight vector of a built-in preset, mirroring preset_block_weights in Python
+ */
+function presetBlockWeights(preset) {
+    const range = PRESET_BLOCK_RANGES[preset];
+    return BLOCK_NAMES.map(block => {
+        if (!range) return 1.0;
+        const coarse = block === "MID" ? 5
+            : block.startsWith("IN") ? Math.floor(Number(block.slice(2)) / 2)
+            : 6 + Math.floor(Number(block.slice(3)) / 2);
+        return coarse >= range[0] && coarse <= range[1] ? 1.0 : 0.0;
+    });
+}
+
+// Mode-specific LoRA fields: grouped LoRAs are locked or partitioned, ungrouped ones fixed or random
+const GROUPED_LORA_FIELDS = ["lock_model", "locked_model_value", "lock_clip", "locked_clip_value", "weight"];
+const UNGROUPED_LORA_FIELDS = [
+    "model_strength", "clip_strength",
+    "random_model", "min_model", "max_model",
+    "random_clip", "min_clip", "max_clip",
+    ...Object.keys(SCHEDULE_DEFAULTS)
+];
+
+/**
+ * Return a copy of a LoRA moved into groupId (null = ungrouped), converting its fields
+ * when it changes mode. A fixed strength becomes a lock value and a random one joins the
+ * partition; going the other way, locked values and the currently resolved share
+ * (resolved = {model, clip}) become fixed strengths.
+ */
+function convertLoraMode(lora, groupId, resolved) {
+    const converted = { ...lora, group_id: groupId };
+    const wasGrouped = lora.group_id != null;
+    if (wasGrouped === (groupId != null)) return converted;
+    
+    if (groupId != null) {
+        converted.lock_model = !lora.random_model;
+        converted.locked_model_value = lora.model_strength ?? 1.0;
+        converted.lock_clip = !lora.random_clip;
+        converted.locked_clip_value = lora.clip_strength ?? 1.0;
+        converted.weight = 1.0;
+        for (const field of UNGROUPED_LORA_FIELDS) delete converted[field];
+    } else {
+        // Resolved strengths already carry the LoRA's sign, which the subtract flag reapplies
+        converted.model_strength = lora.lock_model ? lora.locked_model_value ?? 0.0
+            : resolved ? signedStrength(lora, resolved.model) : 1.0;
+        converted.clip_strength = lora.lock_clip ? lora.locked_clip_value ?? 0.0
+            : resolved ? signedStrength(lora, resolved.clip) : 1.0;
+        converted.random_model = false;
+        converted.min_model = 0.0;
+        converted.max_model = 1.0;
+        converted.random_clip = false;
+        converted.min_clip = 0.0;
+        converted.max_clip = 1.0;
+        Object.assign(converted, SCHEDULE_DEFAULTS);
+        for (const field of GROUPED_LORA_FIELDS) delete converted[field];
+    }
+    
+    return converted;
+}
+
+/**
+ * Draw a row of weight bars with a reference line at 1.0
+ */
+function drawWeightBars(ctx, x, y, width, height, weights, activeIndex) {
+    const slot = width / weights.length;
+    const unitY = y + height - height / BLOCK_WEIGHT_MAX;
+    
+    ctx.fillStyle = "#111";
+    ctx.fillRect(x, y, width, height);
+    
+    weights.forEach((weight, i) => {
+        const barHeight = Math.min(weight, BLOCK_WEIGHT_MAX) / BLOCK_WEIGHT_MAX * height;
+        ctx.fillStyle = i === activeIndex ? "#ffd966" : weight === 0 ? "#444" : "#6fa8dc";
+        ctx.fillRect(x + i * slot + 1, y + height - barHeight, slot - 2, barHeight);
+    });
+    
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.3)";
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, unitY);
+    ctx.lineTo(x + width, unitY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Upgrade a parsed stack_data payload to STATE_SCHEMA_VERSION, one step at a time.
+ * Throws StateMigrationError if the payload is unrecognised or from a newer frontend.
+ */
+function migrateState(state) {
+    if (!state || typeof state !== "object" || Array.isArray(state)) {
+        throw new StateMigrationError("stack_data is not an object");
+    }
+    if (!Array.isArray(state.groups ?? []) || !Array.isArray(state.loras ?? [])) {
+        throw new StateMigrationError("groups and loras must be lists");
+    }
+    
+    let version = state.schema_version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new StateMigrationError(`Unknown schema_version ${JSON.stringify(state.schema_version)}`);
+    }
+    if (version > STATE_SCHEMA_VERSION) {
+        throw new StateMigrationError(
+            `stack_data was saved with schema v${version}, this version supports up to v${STATE_SCHEMA_VERSION}`
+        );
+    }
+    
+    while (version < STATE_SCHEMA_VERSION) {
+        const step = STATE_MIGRATIONS[version];
+        if (!step) {
+            throw new StateMigrationError(`No migration from schema v${version}`);
+        }
+        try {
+            state = step(state);
+        } catch (e) {
+            throw new StateMigrationError(`Migration from schema v${version} failed: ${e.message}`);
+        }
+        console.log(`[LoRA Stacker] Migrated state from schema v${version} to v${version + 1}`);
+        version++;
+    }
+    
+    return state;
+}
+
+/**
+ * Parse a stack_data JSON string and migrate it to the current schema
+ */
+function parseStackData(json) {
+    let state;
+    try {
+        state = JSON.parse(json);
+    } catch (e) {
+        throw new StateMigrationError(`stack_data is not valid JSON: ${e.message}`);
+    }
+    return migrateState(state);
+}
+
+// Undo steps kept per node
+const MAX_STATE_HISTORY = 50;
+
+// Saves closer together than this are one undo step, so a slider drag undoes in one go
+const STATE_HISTORY_COALESCE_MS = 500;
+
+/**
+ * The active workflow's change tracker, or null on frontends without workflow undo.
+ * It already snapshots stack_data with the rest of the graph, so when it exists it owns
+ * undo and the nodes keep no history of their own.
+ */
+function workflowChangeTracker() {
+    const workflow = app.extensionManager?.workflow?.activeWorkflow ?? app.workflowManager?.activeWorkflow;
+    return workflow?.changeTracker ?? null;
+}
+
+/**
+ * Ctrl+Z and Ctrl+Y / Ctrl+Shift+Z (Cmd on macOS) step through the edit history of the
+ * selected stacker on frontends without workflow undo. The key is passed on when the node
+ * has nothing left to undo or redo.
+ */
+function handleStackHistoryKey(event) {
+    if (workflowChangeTracker()) return;
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const key = event.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    
+    const target = event.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+    
+    const selected = Object.values(app.canvas?.selected_nodes || {});
+    if (selected.length !== 1 || selected[0].type !== "AdvancedLoraStacker") return;
+    
+    const redo = key === "y" || event.shiftKey;
+    if (!(redo ? selected[0].redoState() : selected[0].undoState())) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+}
+
+/**
+ * FNV-1a 32-bit hash of the parts joined with ':'.
+ * Derives an independent stream per group/LoRA from the node seed; mirrors stable_seed in Python.
+ */
+function stableSeed(...parts) {
+    const bytes = new TextEncoder().encode(parts.map(p => String(p)).join(":"));
+    let h = 0x811c9dc5;
+    for (const byte of bytes) {
+        h = Math.imul(h ^ byte, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+/**
+ * Mulberry32 PRNG, bit-identical to SeededRandom in advanced_lora_stacker.py
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    nextUint32() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+    
+    /**
+     * 53-bit float in [0, 1), built from two 32-bit outputs like Python's random.random()
+     */
+    random() {
+        const a = this.nextUint32() >>> 5;
+        const b = this.nextUint32() >>> 6;
+        return (a * 67108864.0 + b) * (1.0 / 9007199254740992.0);
+    }
+    
+    uniform(a, b) {
+        return a + (b - a) * this.random();
+    }
+}
+
+/**
+ * Round to 4 decimals the way Python's round(x, 4) does.
+ * toFixed rounds exact ties up, Python rounds them to even; at 4 decimals
+ * the only exactly representable ties are odd multiples of 1/32.
+ */
+function round4(x) {
+    const scaled32 = x * 32;
+    if (Number.isInteger(scaled32) && scaled32 % 2 !== 0) {
+        const floor = Math.floor(x * 10000);
+        return (floor % 2 === 0 ? floor : floor + 1) / 10000;
+    }
+    return Number(x.toFixed(4));
+}
+
+/**
+ * Standard normal draw (Box-Muller), as sample_normal in Python
+ */
+function sampleNormal(rng) {
+    const u1 = 1.0 - rng.random();
+    const u2 = rng.random();
+    return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+}
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia-Tsang), as sample_gamma in Python.
+ * Math.log, Math.cos and Math.pow may differ from Python's in the last bit, which the
+ * rounding to 4 decimals hides except in vanishingly rare ties.
+ */
+function sampleGamma(rng, shape) {
+    if (shape < 1.0) {
+        return sampleGamma(rng, shape + 1.0) * Math.pow(rng.random(), 1.0 / shape);
+    }
+    
+    const d = shape - 1.0 / 3.0;
+    const c = 1.0 / Math.sqrt(9.0 * d);
+    while (true) {
+        const x = sampleNormal(rng);
+        const t = 1.0 + c * x;
+        if (t <= 0.0) continue;
+        const v = t * t * t;
+        const u = 1.0 - rng.random();
+        if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+/**
+ * A strength with the LoRA's sign applied, as signed_strength in Python
+ */
+function signedStrength(lora, value) {
+    return lora.subtract && value ? -value : value;
+}
+
+/**
+ * A group's distribution settings with defaults filled in, as group_distribution in Python
+ */
+function groupDistribution(group) {
+    const clampMin = group.clamp_min ?? 0.1;
+    return {
+        mode: Object.keys(DISTRIBUTION_MODES).includes(group.distribution) ? group.distribution : "uniform",
+        concentration: Math.max(MIN_CONCENTRATION, group.concentration ?? 1.0),
+        clampMin: Math.max(0.0, clampMin),
+        clampMax: Math.max(clampMin, group.clamp_max ?? 1.0)
+    };
+}
+
+/**
+ * Unrounded shares of remaining under a non-uniform distribution, as distribution_segments in Python
+ */
+function distributionSegments(remaining, count, rng, distribution, weights) {
+    const { mode } = distribution;
+    
+    if (mode === "dirichlet") {
+        const draws = Array.from({ length: count }, () => sampleGamma(rng, distribution.concentration));
+        let drawTotal = 0.0;
+        for (const draw of draws) drawTotal += draw;
+        if (drawTotal > 0.0) return draws.map(draw => draw / drawTotal * remaining);
+    }
+    
+    if (mode === "weighted") {
+        const clamped = weights.map(w => Math.max(0.0, w));
+        let weightTotal = 0.0;
+        for (const weight of clamped) weightTotal += weight;
+        if (weightTotal > 0.0) return clamped.map(w => w / weightTotal * remaining);
+    }
+    
+    if (mode === "clamped") {
+        const floor = Math.min(distribution.clampMin, remaining / count);
+        const cap = Math.max(distribution.clampMax, remaining / count);
+        
+        const cuts = Array.from({ length: count - 1 }, () => rng.random()).sort((a, b) => a - b);
+        cuts.unshift(0.0);
+        cuts.push(1.0);
+        const spread = remaining - floor * count;
+        let segments = Array.from({ length: count }, (_, i) => floor + (cuts[i + 1] - cuts[i]) * spread);
+        
+        let excess = 0.0;
+        for (const segment of segments) {
+            if (segment > cap) excess += segment - cap;
+        }
+        let headroom = 0.0;
+        for (const segment of segments) {
+            if (segment < cap) headroom += cap - segment;
+        }
+        if (excess > 0.0 && headroom > 0.0) {
+            segments = segments.map(segment => segment >= cap ? cap : segment + excess * (cap - segment) / headroom);
+        }
+        return segments;
+    }
+    
+    return new Array(count).fill(remaining / count);
+}
+
+/**
+ * Round shares to 4 decimals keeping their sum, as round_segments in Python
+ */
+function roundSegments(segments, remaining) {
+    const rounded = segments.map(round4);
+    let total = 0.0;
+    for (const segment of rounded) total += segment;
+    const diff = round4(remaining - total);
+    if (diff > 0) {
+        rounded[rounded.indexOf(Math.min(...rounded))] += diff;
+    } else if (diff < 0) {
+        rounded[rounded.indexOf(Math.max(...rounded))] += diff;
+    }
+    return rounded;
+}
+
+/**
+ * JS port of AdvancedLoraStacker.partition_strengths (stick-breaking or the group's
+ * distribution mode). Must stay in lockstep with the Python version: same seed, same output.
+ * Negative totals and locks over budget are handled the same way too.
+ * 
+ * @param {number} total - Total value to partition
+ * @param {number} numSegments - Number of segments to create
+ * @param {Map<number, number>} lockedValues - index -> locked value, in index order
+ * @param {SeededRandom} rng - Generator to draw cut points from
+ * @param {object} [distribution] - Settings from groupDistribution (omit for uniform stick-breaking)
+ * @param {number[]} [weights] - Per-segment weights for the weighted mode
+ * @returns {number[]} Partitioned values
+ */
+function partitionStrengths(total, numSegments, lockedValues, rng, distribution, weights = []) {
+    const result = new Array(numSegments).fill(0.0);
+    const budget = Math.abs(total);
+    
+    const lockedIndices = [...lockedValues.keys()].filter(idx => idx >= 0 && idx < numSegments);
+    let lockedTotal = 0.0;
+    for (const idx of lockedIndices) {
+        result[idx] = lockedValues.get(idx);
+        lockedTotal += Math.abs(lockedValues.get(idx));
+    }
+    
+    // Locks over budget are scaled to fit it, keeping their signs
+    if (lockedTotal > budget) {
+        const scaled = roundSegments(lockedIndices.map(idx => Math.abs(result[idx]) * budget / lockedTotal), budget);
+        lockedIndices.forEach((idx, i) => {
+            result[idx] = result[idx] < 0 && scaled[i] ? -scaled[i] : scaled[i];
+        });
+        return result;
+    }
+    
+    const remaining = budget - lockedTotal;
+    const unlockedIndices = [];
+    for (let i = 0; i < numSegments; i++) {
+        if (!lockedValues.has(i)) unlockedIndices.push(i);
+    }
+    
+    if (!unlockedIndices.length || remaining <= 0) {
+        return result;
+    }
+    
+    if (distribution && distribution.mode !== "uniform" && unlockedIndices.length > 1) {
+        const unlockedWeights = unlockedIndices.map(i => weights[i] ?? 1.0);
+        const segments = roundSegments(
+            distributionSegments(remaining, unlockedIndices.length, rng, distribution, unlockedWeights),
+            remaining
+        );
+        unlockedIndices.forEach((idx, i) => {
+            result[idx] = segments[i];
+        });
+    } else if (unlockedIndices.length === 1) {
+        result[unlockedIndices[0]] = remaining;
+    } else {
+        const cuts = [];
+        for (let i = 0; i < unlockedIndices.length - 1; i++) {
+            cuts.push(rng.random());
+        }
+        cuts.sort((a, b) => a - b);
+        cuts.unshift(0.0);
+        cuts.push(1.0);
+        
+        const segments = [];
+        for (let i = 0; i < cuts.length - 1; i++) {
+            segments.push(round4((cuts[i + 1] - cuts[i]) * remaining));
+        }
+        
+        let totalSegments = 0.0;
+        for (const segment of segments) {
+            totalSegments += segment;
+        }
+        const diff = round4(remaining - totalSegments);
+        if (diff !== 0) {
+            const maxIdx = segments.indexOf(Math.max(...segments));
+            segments[maxIdx] += diff;
+        }
+        
+        unlockedIndices.forEach((idx, i) => {
+            result[idx] = segments[i];
+        });
+    }
+    
+    // Unlocked shares take a negative total's sign
+    if (total < 0) {
+        for (const idx of unlockedIndices) {
+            result[idx] = result[idx] ? -result[idx] : 0.0;
+        }
+    }
+    
+    return result;
+}
+
+// Layout of the strength preview panel
+const PREVIEW_HEADER_HEIGHT = 20;
+const PREVIEW_BAR_HEIGHT = 14;
+const PREVIEW_GROUP_HEIGHT = 14 + (PREVIEW_BAR_HEIGHT + 3) + (PREVIEW_BAR_HEIGHT + 7);
+const PREVIEW_ROW_HEIGHT = 16;
+const PREVIEW_COLORS = ["#6fa8dc", "#93c47d", "#ffd966", "#e06666", "#8e7cc3", "#f6b26b", "#76a5af", "#c27ba0"];
+
+/**
+ * The soloed LoRA, or null. A solo id that matches no LoRA is ignored, as in apply_loras.
+ */
+function getSoloLora(state) {
+    if (state.solo_lora_id == null) return null;
+    return (state.loras || []).find(l => l.id === state.solo_lora_id) ?? null;
+}
+
+/**
+ * The state as apply_loras resolves it in solo mode: the soloed LoRA and its group count
+ * as enabled, so it gets the strength it would have in the full stack
+ */
+function withSoloEnabled(state) {
+    const solo = getSoloLora(state);
+    if (!solo) return state;
+    return {
+        ...state,
+        groups: (state.groups || []).map(g => g.id === solo.group_id ? { ...g, enabled: true } : g),
+        loras: state.loras.map(l => l === solo ? { ...l, enabled: true } : l)
+    };
+}
+
+/**
+ * Resolve the strengths every enabled grouped LoRA will get for a seed, mirroring apply_loras
+ */
+function previewGroupStrengths(state, seed) {
+    const previews = [];
+    
+    for (const group of state.groups || []) {
+        if (group.enabled === false) continue;
+        
+        // Disabled LoRAs keep their share (which is then dropped) unless the group redistributes it
+        const memberLoras = (state.loras || []).filter(l => l.group_id === group.id);
+        const groupLoras = group.disabled_share === "redistribute"
+            ? memberLoras.filter(l => l.enabled !== false)
+            : memberLoras;
+        if (!groupLoras.some(l => l.enabled !== false)) continue;
+        
+        // Partition in LoRA id order, so reordering rows doesn't change anyone's strength
+        const ordered = groupLoras.map((_, i) => i).sort((a, b) => (groupLoras[a].id ?? 0) - (groupLoras[b].id ?? 0));
+        
+        const lockedModel = new Map();
+        const lockedClip = new Map();
+        ordered.forEach((i, pos) => {
+            const lora = groupLoras[i];
+            if (lora.lock_model) lockedModel.set(pos, lora.locked_model_value ?? 0.0);
+            if (lora.lock_clip) lockedClip.set(pos, lora.locked_clip_value ?? 0.0);
+        });
+        
+        const maxModel = group.max_model ?? 1.0;
+        const maxClip = group.max_clip ?? 1.0;
+        const distribution = groupDistribution(group);
+        const weights = ordered.map(i => groupLoras[i].weight ?? 1.0);
+        const orderedModel = partitionStrengths(maxModel, groupLoras.length, lockedModel,
+            new SeededRandom(stableSeed(seed, "group", group.id, "model")), distribution, weights);
+        const orderedClip = partitionStrengths(maxClip, groupLoras.length, lockedClip,
+            new SeededRandom(stableSeed(seed, "group", group.id, "clip")), distribution, weights);
+        
+        const model = new Array(groupLoras.length).fill(0.0);
+        const clip = new Array(groupLoras.length).fill(0.0);
+        ordered.forEach((i, pos) => {
+            model[i] = orderedModel[pos];
+            clip[i] = orderedClip[pos];
+        });
+        
+        // Locks that add up to more than the budget were scaled down to fit it
+        const overBudget = (locked, budget) => [...locked.values()].reduce((sum, v) => sum + Math.abs(v), 0) > Math.abs(budget);
+        
+        const applied = groupLoras.map((lora, i) => i).filter(i => groupLoras[i].enabled !== false);
+        previews.push({
+            group,
+            loras: applied.map(i => groupLoras[i]),
+            maxModel,
+            maxClip,
+            model: applied.map(i => signedStrength(groupLoras[i], model[i])),
+            clip: applied.map(i => signedStrength(groupLoras[i], clip[i])),
+            lockOverflow: {
+                model: overBudget(lockedModel, maxModel),
+                clip: overBudget(lockedClip, maxClip)
+            }
+        });
+    }
+    
+    return previews;
+}
+
+/**
+ * Strength of a schedule at a step, as schedule_strength in Python. Steps wrap around.
+ */
+function scheduleStrength(start, end, step, steps, curve = "linear") {
+    steps = Math.max(2, Math.trunc(steps));
+    let t = (((step % steps) + steps) % steps) / (steps - 1);
+    if (curve === "ease_in") {
+        t = t * t;
+    } else if (curve === "ease_out") {
+        t = 1.0 - (1.0 - t) * (1.0 - t);
+    } else if (curve === "ease_in_out") {
+        t = t < 0.5 ? 2.0 * t * t : 1.0 - 2.0 * (1.0 - t) * (1.0 - t);
+    }
+    return round4(start + (end - start) * t);
+}
+
+/**
+ * Resolve the strengths of ungrouped LoRAs for a seed and schedule step, mirroring apply_loras
+ */
+function previewUngroupedStrengths(state, seed, step = seed) {
+    const resolve = (lora, kind) => {
+        if (lora[`schedule_${kind}`]) {
+            return scheduleStrength(lora[`start_${kind}`] ?? 0.0, lora[`end_${kind}`] ?? 1.0,
+                step, lora.schedule_steps ?? 10, lora.schedule_curve);
+        }
+        if (lora[`random_${kind}`]) {
+            return round4(new SeededRandom(stableSeed(seed, "lora", lora.id, kind))
+                .uniform(lora[`min_${kind}`] ?? 0.0, lora[`max_${kind}`] ?? 1.0));
+        }
+        return lora[`${kind}_strength`] ?? 1.0;
+    };
+    return (state.loras || []).filter(l => l.group_id == null && l.enabled !== false).map(lora => ({
+        lora,
+        model: signedStrength(lora, resolve(lora, "model")),
+        clip: signedStrength(lora, resolve(lora, "clip"))
+    }));
+}
+
+app.registerExtension({
+    name: "advanced_lora_stacker.AdvancedLoraStacker",
+    
+    async beforeRegisterNodeDef(nodeType, nodeData, app) {
+        if (nodeData.name !== "AdvancedLoraStacker") return;
+        
+        // Fetch LoRA list on load
+        await Promise.all([fetchLoraList(), fetchBlockPresets()]);
+        fetchStackPresetList();
+        
+        // Capture phase, so the selected stacker's undo runs before any other key handler
+        window.addEventListener("keydown", handleStackHistoryKey, true);
+        
+        migrateLegacyBackups();
+        
+        const onNodeCreated = nodeType.prototype.onNodeCreated;
+        nodeType.prototype.onNodeCreated = function() {
+            const r = onNodeCreated ? onNodeCreated.apply(this, arguments) : undefined;
+            
+            console.log("[LoRA Stacker] Node created, ID:", this.id);
+            
+            // Initialize state
+            this.loraState = {
+                schema_version: STATE_SCHEMA_VERSION,
+                trigger_order: "stack",
+                trigger_delimiter: ", ",
+                solo_lora_id: null,
+                solo_strength: null,
+                groups: [],
+                loras: []
+            };
+            this.nextGroupId = 1;
+            this.nextLoraId = 1;
+            this.resetStateHistory(JSON.stringify(this.loraState));
+            
+            // Set initial size
+            this.setSize([450, 140]);
+            
+            // Find or create the stack_data widget (should exist from Python INPUT_TYPES)
+            this.stackDataWidget = this.widgets.find(w => w.name === "stack_data");
+            if (!this.stackDataWidget) {
+                console.log("[LoRA Stacker] Creating stack_data widget");
+                this.stackDataWidget = ComfyWidgets.STRING(this, "stack_data", ["STRING", {default: ""}], app).widget;
+            }
+            
+            // Mark as hidden and ensure serialization
+            this.stackDataWidget.type = "converted-widget";
+            this.stackDataWidget.computeSize = () => [0, -4];
+            this.stackDataWidget.serializeValue = () => {
+                return this.stackDataWidget.value;
+            };
+            
+            // Create main action buttons
+            this.addLoraButton = this.addWidget("button", "➕ Add LoRA", null, () => {
+                this.addLora(null);
+            });
+            
+            this.addGroupButton = this.addWidget("button", "➕ Add Group", null, () => {
+                this.addGroup();
+            });
+            
+            // Save state whenever something changes
+            this.saveState = () => {
+                if (this._saving) return; // Prevent recursion
+                
+                // Don't overwrite a payload we failed to migrate until the user starts editing
+                if (this.stateWarning && !this.loraState.groups.length && !this.loraState.loras.length) return;
+                
+                this._saving = true;
+                
+                const stateJson = JSON.stringify(this.loraState);
+                this.stackDataWidget.value = stateJson;
+                this.recordStateHistory(stateJson);
+                
+                // Also keep a recovery snapshot. Empty stacks are skipped, so they never
+                // replace a snapshot worth recovering.
+                if (this.id > 0 && (this.loraState.groups.length || this.loraState.loras.length)) {
+                    saveRecoverySnapshot(this.id, this.loraState);
+                }
+                
+                console.log("[LoRA Stacker] State saved:", stateJson.substring(0, 100) + "...");
+                this._saving = false;
+            };
+            
+            // Load state when node is configured (workflow loaded)
+            const originalConfigure = this.onConfigure;
+            this.onConfigure = (info) => {
+                if (originalConfigure) {
+                    originalConfigure.call(this, info);
+                }
+                
+                console.log("[LoRA Stacker] onConfigure called");
+                
+                // Try to load from widget value first
+                if (info.widgets_values) {
+                    const stackDataIndex = this.widgets.findIndex(w => w.name === "stack_data");
+                    if (stackDataIndex >= 0 && info.widgets_values[stackDataIndex]) {
+                        const stateJson = info.widgets_values[stackDataIndex];
+                        console.log("[LoRA Stacker] Loading from widgets_values:", stateJson.substring(0, 100) + "...");
+                        this.stackDataWidget.value = stateJson;
+                    }
+                }
+                
+                // Restore UI from state. A loaded workflow starts a fresh undo history.
+                this.resetStateHistory();
+                this.restoreState();
+            };
+            
+            // Ensure state is saved before serialization
+            const originalGetWidgetValue = this.widgets[0].serializeValue || (() => this.widgets[0].value);
+            if (this.stackDataWidget) {
+                this.stackDataWidget.serializeValue = () => {
+                    this.saveState();
+                    return this.stackDataWidget.value;
+                };
+            }
+            
+            return r;
+        };
+        
+        /**
+         * Restore the UI from the current state
+         */
+        nodeType.prototype.restoreState = function() {
+            this.stateWarning = null;
+            
+            if (!this.stackDataWidget?.value) {
+                console.log("[LoRA Stacker] No state to restore");
+                
+                // Offer this node's snapshot from the same workflow, once loading has finished
+                const workflow = currentWorkflow();
+                const snapshot = loadRecoveryIndex().find(e => e.workflow === workflow.id && e.nodeId === this.id);
+                if (snapshot) {
+                    setTimeout(() => this.offerRecovery(snapshot), 0);
+                }
+                return;
+            }
+            
+            try {
+                const state = parseStackData(this.stackDataWidget.value);
+                console.log("[LoRA Stacker] Restoring state:", state);
+                
+                // Clear existing UI (except base widgets)
+                this.clearDynamicWidgets();
+                
+                // Update state
+                this.loraState = state;
+                
+                // Rebuild UI from state
+                this.rebuildUI();
+                this.saveState();
+                
+            } catch (e) {
+                console.error("[LoRA Stacker] Failed to restore state:", e);
+                
+                // Leave the raw payload in stack_data so it isn't lost on the next save
+                this.stateWarning = e instanceof StateMigrationError
+                    ? `Saved stack could not be loaded: ${e.message}`
+                    : `Saved stack could not be loaded (${e.message})`;
+                this.loraState = {
+                    schema_version: STATE_SCHEMA_VERSION,
+                    trigger_order: "stack",
+                    trigger_delimiter: ", ",
+                    solo_lora_id: null,
+                    solo_strength: null,
+                    groups: [],
+                    loras: []
+                };
+                this.rebuildUI();
+            }
+        };
+        
+        /**
+         * Start an empty undo history from the given state JSON, or from the next save.
+         * The node history is only used without workflow undo (see workflowChangeTracker).
+         */
+        nodeType.prototype.resetStateHistory = function(current = null) {
+            this.stateHistory = { undo: [], redo: [], current, lastSave: 0, restoring: false };
+        };
+        
+        /**
+         * Record a saved state: the state it replaces becomes an undo step and the redo
+         * steps are dropped
+         */
+        nodeType.prototype.recordStateHistory = function(stateJson) {
+            const history = this.stateHistory;
+            const previous = history.current;
+            history.current = stateJson;
+            if (previous === null || previous === stateJson || history.restoring || workflowChangeTracker()) return;
+            
+            const now = Date.now();
+            if (!history.undo.length || now - history.lastSave > STATE_HISTORY_COALESCE_MS) {
+                history.undo.push(previous);
+                if (history.undo.length > MAX_STATE_HISTORY) history.undo.shift();
+            }
+            history.lastSave = now;
+            history.redo = [];
+        };
+        
+        /**
+         * Replace the state with a snapshot from the undo history
+         */
+        nodeType.prototype.applyStateSnapshot = function(stateJson) {
+            const history = this.stateHistory;
+            this.loraState = JSON.parse(stateJson);
+            history.current = stateJson;
+            history.restoring = true;
+            try {
+                this.rebuildUI();
+                this.saveState();
+            } finally {
+                history.restoring = false;
+            }
+            history.lastSave = 0;
+            this.setDirtyCanvas(true, true);
+        };
+        
+        /**
+         * Number of steps that can be undone and redone: the workflow's if it has undo,
+         * otherwise this node's
+         */
+        nodeType.prototype.getHistoryCounts = function() {
+            const tracker = workflowChangeTracker();
+            if (tracker) {
+                return { undo: tracker.undoQueue?.length ?? 0, redo: tracker.redoQueue?.length ?? 0 };
+            }
+            return { undo: this.stateHistory.undo.length, redo: this.stateHistory.redo.length };
+        };
+        
+        /**
+         * Undo the last stack edit, through the workflow undo if there is one.
+         * Returns false if there is nothing to undo.
+         */
+        nodeType.prototype.undoState = function() {
+            const tracker = workflowChangeTracker();
+            if (tracker) {
+                if (!tracker.undoQueue?.length) return false;
+                tracker.undo?.();
+                return true;
+            }
+            
+            const history = this.stateHistory;
+            if (!history.undo.length) return false;
+            history.redo.push(history.current);
+            this.applyStateSnapshot(history.undo.pop());
+            return true;
+        };
+        
+        /**
+         * Redo the last undone stack edit, through the workflow undo if there is one.
+         * Returns false if there is nothing to redo.
+         */
+        nodeType.prototype.redoState = function() {
+            const tracker = workflowChangeTracker();
+            if (tracker) {
+                if (!tracker.redoQueue?.length) return false;
+                tracker.redo?.();
+                return true;
+            }
+            
+            const history = this.stateHistory;
+            if (!history.redo.length) return false;
+            history.undo.push(history.current);
+            this.applyStateSnapshot(history.redo.pop());
+            return true;
+        };
+        
+        /**
+         * Ask whether to load a recovery snapshot into this empty node
+         */
+        nodeType.prototype.offerRecovery = function(snapshot) {
+            // Skip if the user started a new stack in the meantime
+            if (this.loraState.groups.length || this.loraState.loras.length) return;
+            
+            const state = loadRecoverySnapshot(snapshot.key);
+            if (!state) return;
+            
+            const savedAt = new Date(snapshot.savedAt).toLocaleString();
+            if (confirm(`Recover previous state?\n\nThis stacker is empty, but a stack was saved for it on ${savedAt}:\n${describeStack(state)}`)) {
+                this.recoverSnapshot(snapshot.key);
+            }
+        };
+        
+        /**
+         * Replace the stack with a recovery snapshot. Goes through restoreState, so old
+         * snapshots are migrated, and it can be undone.
+         */
+        nodeType.prototype.recoverSnapshot = function(key) {
+            const state = loadRecoverySnapshot(key);
+            if (!state) {
+                alert("That snapshot is no longer available.");
+                return;
+            }
+            
+            this.stackDataWidget.value = JSON.stringify(state);
+            this.restoreState();
+            this.setDirtyCanvas(true, true);
+            console.log(`[LoRA Stacker] Recovered ${describeStack(state)} into node ${this.id}`);
+        };
+        
+        /**
+         * Show the recovery snapshots of all workflows, newest first, to restore into this
+         * node or delete
+         */
+        nodeType.prototype.showRecoveryPanel = function() {
+            const workflow = currentWorkflow();
+            const root = document.createElement("div");
+            Object.assign(root.style, {
+                width: "640px",
+                maxWidth: "85vw",
+                maxHeight: "70vh",
+                overflowY: "auto",
+                textAlign: "left",
+                fontSize: "13px"
+            });
+            
+            const button = (label, onClick) => {
+                const element = document.createElement("button");
+                element.textContent = label;
+                element.addEventListener("click", onClick);
+                return element;
+            };
+            
+            const render = () => {
+                root.replaceChildren();
+                const snapshots = loadRecoveryIndex().sort((a, b) => b.savedAt - a.savedAt);
+                if (!snapshots.length) {
+                    root.textContent = "No recovery snapshots.";
+                    return;
+                }
+                
+                for (const snapshot of snapshots) {
+                    const row = document.createElement("div");
+                    Object.assign(row.style, {
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "8px",
+                        padding: "6px 4px",
+                        borderBottom: "1px solid #444"
+                    });
+                    
+                    const label = document.createElement("div");
+                    Object.assign(label.style, { flex: "1", minWidth: "0" });
+                    const title = document.createElement("div");
+                    const thisNode = snapshot.workflow === workflow.id && snapshot.nodeId === this.id;
+                    title.textContent = `${snapshot.workflowName} · node ${snapshot.nodeId}${thisNode ? " (this node)" : ""}`;
+                    title.style.fontWeight = thisNode ? "bold" : "normal";
+                    const details = document.createElement("div");
+                    const savedAt = snapshot.savedAt ? new Date(snapshot.savedAt).toLocaleString() : "date unknown";
+                    details.textContent = `${savedAt} · ${describeStack(loadRecoverySnapshot(snapshot.key))}`;
+                    Object.assign(details.style, { color: "#888", fontSize: "11px", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" });
+                    label.append(title, details);
+                    
+                    row.append(
+                        label,
+                        button("Restore here", () => {
+                            app.ui.dialog.close();
+                            this.recoverSnapshot(snapshot.key);
+                        }),
+                        button("Delete", () => {
+                            deleteRecoverySnapshots([snapshot.key]);
+                            render();
+                        })
+                    );
+                    root.appendChild(row);
+                }
+                
+                const footer = document.createElement("div");
+                footer.style.paddingTop = "8px";
+                footer.appendChild(button("Delete all", () => {
+                    if (!confirm(`Delete all ${snapshots.length} recovery snapshot(s)?`)) return;
+                    deleteRecoverySnapshots(snapshots.map(e => e.key));
+                    render();
+                }));
+                root.appendChild(footer);
+            };
+            
+            render();
+            app.ui.dialog.show(root);
+        };
+        
+        /**
+         * Create the warning banner shown when the saved stack could not be restored
+         */
+        nodeType.prototype.createWarningWidget = function(message) {
+            const warningWidget = this.addCustomWidget({
+                name: "stack_warning",
+                type: "stack_warning",
+                value: message,
+                serialize: false,
+                draw(ctx, node, widgetWidth, y, widgetHeight) {
+                    ctx.save();
+                    ctx.fillStyle = "#4a2a1a";
+                    ctx.strokeStyle = "#c0703a";
+                    ctx.beginPath();
+                    ctx.roundRect(15, y, widgetWidth - 30, widgetHeight, 4);
+                    ctx.fill();
+                    ctx.stroke();
+                    
+                    ctx.fillStyle = "#ffcf99";
+                    ctx.font = "12px sans-serif";
+                    ctx.textBaseline = "middle";
+                    let text = `⚠ ${this.value}`;
+                    const maxWidth = widgetWidth - 50;
+                    while (text.length > 4 && ctx.measureText(text).width > maxWidth) {
+                        text = text.slice(0, -4) + "…";
+                    }
+                    ctx.fillText(text, 25, y + widgetHeight / 2);
+                    ctx.restore();
+                },
+                computeSize(width) {
+                    return [width, 24];
+                }
+            });
+            this.moveWidgetBeforeActionButtons(warningWidget);
+            return warningWidget;
+        };
+        
+        /**
+         * Clear all dynamic widgets (groups and loras)
+         */
+        nodeType.prototype.clearDynamicWidgets = function() {
+            // Keep only seed, stack_data, and action buttons
+            const keepWidgets = [
+                this.widgets.find(w => w.name === "seed"),
+                this.stackDataWidget,
+                this.addLoraButton,
+                this.addGroupButton
+            ].filter(w => w); // Filter out undefined
+            
+            // Remove all other widgets
+            const toRemove = this.widgets.filter(w => !keepWidgets.includes(w));
+            for (const widget of toRemove) {
+                const idx = this.widgets.indexOf(widget);
+                if (idx >= 0) {
+                    this.widgets.splice(idx, 1);
+                }
+            }
+        };
+        
+        /**
+         * Rebuild the entire UI from state
+         */
+        nodeType.prototype.rebuildUI = function() {
+            const state = this.loraState;
+            
+            // Clear dynamic widgets first
+            this.clearDynamicWidgets();
+            
+            if (this.stateWarning) {
+                this.createWarningWidget(this.stateWarning);
+            }
+            
+            // Keep existing IDs: the per-group and per-LoRA random streams are keyed on them.
+            // Only entries with a missing or duplicate ID get a fresh one.
+            const groups = state.groups || [];
+            const loras = state.loras || [];
+            const maxId = (items) => items.reduce((m, item) => Number.isInteger(item.id) ? Math.max(m, item.id) : m, 0);
+            let nextGroupId = Math.max(this.nextGroupId, maxId(groups) + 1);
+            let nextLoraId = Math.max(this.nextLoraId, maxId(loras) + 1);
+            
+            const seenGroupIds = new Set();
+            for (const group of groups) {
+                if (!Number.isInteger(group.id) || seenGroupIds.has(group.id)) {
+                    group.id = nextGroupId++;
+                }
+                seenGroupIds.add(group.id);
+            }
+            
+            const seenLoraIds = new Set();
+            for (const lora of loras) {
+                if (!Number.isInteger(lora.id) || seenLoraIds.has(lora.id)) {
+                    lora.id = nextLoraId++;
+                }
+                seenLoraIds.add(lora.id);
+                if (lora.group_id != null && !seenGroupIds.has(lora.group_id)) {
+                    lora.group_id = null;
+                }
+            }
+            
+            // Rebuild groups and their loras
+            for (const groupData of groups) {
+                this.createGroupWidgets(groupData.id, groupData);
+                if (groupData.collapsed) continue;
+                
+                for (const loraData of loras.filter(l => l.group_id === groupData.id)) {
+                    this.createLoraWidgets(loraData.id, groupData.id, loraData);
+                }
+            }
+            
+            // Rebuild ungrouped loras
+            for (const loraData of loras.filter(l => !l.group_id)) {
+                this.createLoraWidgets(loraData.id, null, loraData);
+            }
+            
+            // Update counters
+            this.nextGroupId = nextGroupId;
+            this.nextLoraId = nextLoraId;
+            
+            this.setSize(this.computeSize());
+        };
+        
+        /**
+         * Add a new group
+         */
+        nodeType.prototype.addGroup = function() {
+            const groupId = this.nextGroupId++;
+            const groupIndex = this.loraState.groups.length + 1;
+            
+            const groupData = {
+                id: groupId,
+                index: groupIndex,
+                max_model: 1.0,
+                max_clip: 1.0,
+                enabled: true,
+                disabled_share: "drop",
+                distribution: "uniform",
+                concentration: 1.0,
+                clamp_min: 0.1,
+                clamp_max: 1.0,
+                collapsed: false
+            };
+            
+            this.loraState.groups.push(groupData);
+            this.createGroupWidgets(groupId, groupData);
+            this.saveState();
+            this.setSize(this.computeSize());
+        };
+        
+        /**
+         * Create widgets for a group (appends to end before action buttons)
+         */
+        nodeType.prototype.createGroupWidgets = function(groupId, groupData) {
+            // Header button (collapse/expand). Collapsed headers carry the LoRA count and budget.
+            const collapsed = !!groupData.collapsed;
+            const groupLoras = this.loraState.loras.filter(l => l.group_id === groupId);
+            const budget = collapsed
+                ? ` · ${groupLoras.length} LoRA${groupLoras.length === 1 ? "" : "s"} · M ${groupData.max_model.toFixed(2)} / C ${groupData.max_clip.toFixed(2)}`
+                : "";
+            const headerWidget = this.addWidget("button", 
+                `${collapsed ? '▶' : '▼'} Group ${groupData.index}${groupData.enabled === false ? " (disabled)" : ""}${budget}`, 
+                null, 
+                () => this.toggleGroupCollapse(groupId)
+            );
+            headerWidget._groupId = groupId;
+            headerWidget._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(headerWidget);
+            
+            // Remove button
+            const removeBtn = this.addWidget("button", "✕ Remove", null, 
+                () => this.removeGroup(groupId)
+            );
+            removeBtn._groupId = groupId;
+            removeBtn._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(removeBtn);
+            
+            if (collapsed) {
+                this.createGroupSummaryWidget(groupId);
+                return;
+            }
+            
+            // Enabled toggle: disabled groups are skipped but keep their settings
+            const enabledWidget = ComfyWidgets.BOOLEAN(this, "group_enabled_temp", ["BOOLEAN", { default: groupData.enabled !== false }], app).widget;
+            enabledWidget.name = "  Enabled";
+            enabledWidget.value = groupData.enabled !== false;
+            const origEnabledCallback = enabledWidget.callback;
+            enabledWidget.callback = (v) => {
+                if (origEnabledCallback) origEnabledCallback.call(enabledWidget, v);
+                const group = this.loraState.groups.find(g => g.id === groupId);
+                if (group) {
+                    group.enabled = v;
+                    this.rebuildUI();
+                    this.saveState();
+                }
+            };
+            enabledWidget._groupId = groupId;
+            enabledWidget._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(enabledWidget);
+            
+            // What happens to a disabled member's share (only shown while one is disabled)
+            if (this.loraState.loras.some(l => l.group_id === groupId && l.enabled === false)) {
+                const shareWidget = this.addWidget("combo",
+                    "  Disabled LoRA share",
+                    DISABLED_SHARE_MODES[groupData.disabled_share] ?? DISABLED_SHARE_MODES.drop,
+                    (v) => {
+                        const group = this.loraState.groups.find(g => g.id === groupId);
+                        const mode = Object.keys(DISABLED_SHARE_MODES).find(k => DISABLED_SHARE_MODES[k] === v);
+                        if (group && mode) {
+                            group.disabled_share = mode;
+                            this.saveState();
+                        }
+                    },
+                    { values: Object.values(DISABLED_SHARE_MODES) }
+                );
+                shareWidget._groupId = groupId;
+                shareWidget._isGroupWidget = true;
+                this.moveWidgetBeforeActionButtons(shareWidget);
+            }
+            
+            // Max MODEL strength
+            const maxModelWidget = ComfyWidgets.FLOAT(this, "max_model_temp", ["FLOAT", { 
+                default: groupData.max_model, 
+                min: -10.0, 
+                max: 10.0, 
+                step: 0.01 
+            }], app).widget;
+            maxModelWidget.name = "  Max MODEL";
+            maxModelWidget.value = groupData.max_model;
+            const origCallback = maxModelWidget.callback;
+            maxModelWidget.callback = (v) => {
+                if (origCallback) origCallback.call(maxModelWidget, v);
+                const group = this.loraState.groups.find(g => g.id === groupId);
+                if (group) {
+                    group.max_model = v;
+                    this.saveState();
+                }
+            };
+            maxModelWidget._groupId = groupId;
+            maxModelWidget._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(maxModelWidget);
+            
+            // Max CLIP strength
+            const maxClipWidget = ComfyWidgets.FLOAT(this, "max_clip_temp", ["FLOAT", { 
+                default: groupData.max_clip, 
+                min: -10.0, 
+                max: 10.0, 
+                step: 0.01 
+            }], app).widget;
+            maxClipWidget.name = "  Max CLIP";
+            maxClipWidget.value = groupData.max_clip;
+            const origClipCallback = maxClipWidget.callback;
+            maxClipWidget.callback = (v) => {
+                if (origClipCallback) origClipCallback.call(maxClipWidget, v);
+                const group = this.loraState.groups.find(g => g.id === groupId);
+                if (group) {
+                    group.max_clip = v;
+                    this.saveState();
+                }
+            };
+            maxClipWidget._groupId = groupId;
+            maxClipWidget._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(maxClipWidget);
+            
+            // How the budget is split among unlocked LoRAs
+            const distribution = groupDistribution(groupData).mode;
+            const distributionWidget = this.addWidget("combo",
+                "  Distribution",
+                DISTRIBUTION_MODES[distribution],
+                (v) => {
+                    const group = this.loraState.groups.find(g => g.id === groupId);
+                    const mode = Object.keys(DISTRIBUTION_MODES).find(k => DISTRIBUTION_MODES[k] === v);
+                    if (group && mode) {
+                        group.distribution = mode;
+                        this.rebuildUI();
+                        this.saveState();
+                    }
+                },
+                { values: Object.values(DISTRIBUTION_MODES) }
+            );
+            distributionWidget._groupId = groupId;
+            distributionWidget._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(distributionWidget);
+            
+            // Settings of the chosen mode (weighted mode's weights are on the LoRAs)
+            const addDistributionSetting = (label, field, options) => {
+                const widget = ComfyWidgets.FLOAT(this, `${field}_temp`, ["FLOAT", { default: groupData[field], ...options }], app).widget;
+                widget.name = label;
+                widget.value = groupData[field];
+                const origSettingCallback = widget.callback;
+                widget.callback = (v) => {
+                    if (origSettingCallback) origSettingCallback.call(widget, v);
+                    const group = this.loraState.groups.find(g => g.id === groupId);
+                    if (group) {
+                        group[field] = v;
+                        this.saveState();
+                    }
+                };
+                widget._groupId = groupId;
+                widget._isGroupWidget = true;
+                this.moveWidgetBeforeActionButtons(widget);
+            };
+            if (distribution === "dirichlet") {
+                addDistributionSetting("    Concentration", "concentration", { min: MIN_CONCENTRATION, max: 100.0, step: 0.05 });
+            } else if (distribution === "clamped") {
+                addDistributionSetting("    Min per LoRA", "clamp_min", { min: 0.0, max: 10.0, step: 0.01 });
+                addDistributionSetting("    Max per LoRA", "clamp_max", { min: 0.0, max: 10.0, step: 0.01 });
+            }
+            
+            // Add LoRA to group button
+            const addLoraBtn = this.addWidget("button", "  ➕ Add LoRA", null,
+                () => this.addLora(groupId)
+            );
+            addLoraBtn._groupId = groupId;
+            addLoraBtn._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(addLoraBtn);
+        };
+        
+        /**
+         * One line under a collapsed group's header naming its LoRAs
+         */
+        nodeType.prototype.createGroupSummaryWidget = function(groupId) {
+            const summaryWidget = this.addCustomWidget({
+                name: "group_summary",
+                type: "group_summary",
+                value: null,
+                serialize: false,
+                draw(ctx, node, widgetWidth, y, widgetHeight) {
+                    const loras = node.loraState.loras.filter(l => l.group_id === groupId);
+                    const names = loras.map(l => {
+                        const name = l.name && l.name !== "None" ? a1111LoraName(l.name) : "None";
+                        return l.enabled === false ? `(${name})` : name;
+                    });
+                    
+                    ctx.save();
+                    ctx.font = "11px sans-serif";
+                    ctx.textAlign = "left";
+                    ctx.textBaseline = "middle";
+                    ctx.fillStyle = "#888";
+                    let text = names.length ? names.join(", ") : "No LoRAs";
+                    const maxWidth = widgetWidth - 60;
+                    while (text.length > 4 && ctx.measureText(text).width > maxWidth) {
+                        text = text.slice(0, -4) + "…";
+                    }
+                    ctx.fillText(text, 30, y + widgetHeight / 2);
+                    ctx.restore();
+                },
+                computeSize(width) {
+                    return [width, 16];
+                }
+            });
+            summaryWidget._groupId = groupId;
+            summaryWidget._isGroupWidget = true;
+            this.moveWidgetBeforeActionButtons(summaryWidget);
+        };
+        
+        /**
+         * Move a widget before the action buttons
+         */
+        nodeType.prototype.moveWidgetBeforeActionButtons = function(widget) {
+            const widgetIdx = this.widgets.indexOf(widget);
+            const actionButtonIdx = this.widgets.indexOf(this.addLoraButton);
+            
+            if (widgetIdx > actionButtonIdx) {
+                this.widgets.splice(widgetIdx, 1);
+                this.widgets.splice(actionButtonIdx, 0, widget);
+            }
+        };
+        
+        /**
+         * Remove a group
+         */
+        nodeType.prototype.removeGroup = function(groupId) {
+            // Find and remove from state
+            const groupIdx = this.loraState.groups.findIndex(g => g.id === groupId);
+            if (groupIdx < 0) return;
+            
+            const group = this.loraState.groups[groupIdx];
+            
+            // Remove all loras in this group
+            this.loraState.loras = this.loraState.loras.filter(l => l.group_id !== groupId);
+            
+            // Remove the group
+            this.loraState.groups.splice(groupIdx, 1);
+            
+            // Update indices
+            for (let i = 0; i < this.loraState.groups.length; i++) {
+                this.loraState.groups[i].index = i + 1;
+            }
+            
+            // Rebuild UI
+            this.rebuildUI();
+            this.saveState();
+        };
+        
+        /**
+         * Toggle group collapse
+         */
+        nodeType.prototype.toggleGroupCollapse = function(groupId) {
+            const group = this.loraState.groups.find(g => g.id === groupId);
+            if (!group) return;
+            group.collapsed = !group.collapsed;
+            
+            // Rebuild UI to reflect collapse state
+            this.rebuildUI();
+            this.saveState();
+        };
+        
+        /**
+         * Collapse or expand every group
+         */
+        nodeType.prototype.setAllGroupsCollapsed = function(collapsed) {
+            for (const group of this.loraState.groups) {
+                group.collapsed = collapsed;
+            }
+            this.rebuildUI();
+            this.saveState();
+        };
+        
+        /**
+         * Add a LoRA
+         */
+        nodeType.prototype.addLora = function(groupId, fields = {}) {
+            const loraId = this.nextLoraId++;
+            
+            const loraData = {
+                id: loraId,
+                group_id: groupId,
+                name: "None",
+                preset: "Full",
+                block_weights: null,
+                clip_weights: null,
+                trigger_words: null,
+                enabled: true,
+                subtract: false
+            };
+            
+            if (groupId === null) {
+                // Ungrouped - add randomization fields
+                loraData.model_strength = 1.0;
+                loraData.clip_strength = 1.0;
+                loraData.random_model = false;
+                loraData.min_model = 0.0;
+                loraData.max_model = 1.0;
+                loraData.random_clip = false;
+                loraData.min_clip = 0.0;
+                loraData.max_clip = 1.0;
+                Object.assign(loraData, SCHEDULE_DEFAULTS);
+            } else {
+                // Grouped - add lock fields
+                loraData.lock_model = false;
+                loraData.locked_model_value = 0.0;
+                loraData.lock_clip = false;
+                loraData.locked_clip_value = 0.0;
+                loraData.weight = 1.0;
+            }
+            
+            // Initial values, e.g. from an import
+            Object.assign(loraData, fields);
+            
+            this.loraState.loras.push(loraData);
+            const group = this.loraState.groups.find(g => g.id === groupId);
+            if (group?.collapsed) {
+                // Show the new LoRA rather than hide it in a collapsed group
+                group.collapsed = false;
+                this.rebuildUI();
+            } else {
+                this.createLoraWidgets(loraId, groupId, loraData);
+            }
+            this.saveState();
+            this.setSize(this.computeSize());
+            return loraData;
+        };
+        
+        /**
+         * Add the LoRAs referenced by A1111 <lora:name:weight> tags as ungrouped LoRAs with
+         * fixed strengths, matching each name against the available LoRAs
+         */
+        nodeType.prototype.importLoraTags = async function(text) {
+            const tags = parseLoraTags(text);
+            if (!tags.length) {
+                alert("No <lora:name:weight> tags found.");
+                return;
+            }
+            
+            // Refresh first so LoRAs downloaded since the page loaded can be matched
+            await fetchLoraList(true);
+            
+            const imported = [];
+            const unresolved = [];
+            for (const tag of tags) {
+                const name = matchLoraName(tag.name, availableLoRAs);
+                if (!name) {
+                    unresolved.push(tag.name);
+                    continue;
+                }
+                this.addLora(null, { name, model_strength: tag.model, clip_strength: tag.clip });
+                imported.push(`${tag.name} → ${name}`);
+            }
+            
+            console.log(`[LoRA Stacker] Imported ${imported.length} LoRA(s), ${unresolved.length} unresolved`);
+            const lines = [`Imported ${imported.length} of ${tags.length} LoRA(s).`];
+            if (imported.length) lines.push("", ...imported);
+            if (unresolved.length) lines.push("", "Not found:", ...unresolved);
+            alert(lines.join("\n"));
+        };
+        
+        /**
+         * Ask for a prompt to import LoRA tags from
+         */
+        nodeType.prototype.importFromPrompt = function() {
+            const text = prompt("Paste an A1111 prompt or parameters with <lora:name:weight> tags:");
+            if (text) this.importLoraTags(text);
+        };
+        
+        /**
+         * Import the LoRA tags from a PNG's A1111 "parameters" text chunk
+         */
+        nodeType.prototype.importFromPng = async function(file) {
+            try {
+                const chunks = readPngTextChunks(await file.arrayBuffer());
+                if (!chunks.parameters) {
+                    alert(`${file.name} has no A1111 parameters.`);
+                    return;
+                }
+                await this.importLoraTags(chunks.parameters);
+            } catch (error) {
+                console.error("[LoRA Stacker] Failed to import from PNG:", error);
+                alert(`Failed to read ${file.name}: ${error.message}`);
+            }
+        };
+        
+        /**
+         * Accept PNGs dropped on the node, to import their LoRA tags
+         */
+        nodeType.prototype.onDragOver = function(event) {
+            return [...(event.dataTransfer?.items || [])].some(item => item.kind === "file" && item.type === "image/png");
+        };
+        
+        nodeType.prototype.onDragDrop = function(event) {
+            const file = [...(event.dataTransfer?.files || [])].find(f => f.type === "image/png");
+            if (!file) return false;
+            this.importFromPng(file);
+            return true;
+        };
+        
+        /**
+         * Create widgets for a LoRA (appends to end before action buttons)
+         */
+        nodeType.prototype.createLoraWidgets = function(loraId, groupId, loraData) {
+            const prefix = groupId ? "    " : "";
+            
+            // Drag handle for reordering and moving between groups
+            this.createDragHandle(loraId, groupId);
+            
+            // LoRA selector, drawn like a combo but opening the searchable picker
+            const loraWidget = this.addCustomWidget({
+                name: `${prefix}LoRA`,
+                type: "lora_picker",
+                value: loraData.name,
+                serialize: false,
+                draw(ctx, node, widgetWidth, y, widgetHeight) {
+                    const margin = 15;
+                    ctx.save();
+                    ctx.fillStyle = LiteGraph.WIDGET_BGCOLOR;
+                    ctx.strokeStyle = LiteGraph.WIDGET_OUTLINE_COLOR;
+                    ctx.beginPath();
+                    ctx.roundRect(margin, y, widgetWidth - margin * 2, widgetHeight, widgetHeight * 0.5);
+                    ctx.fill();
+                    ctx.stroke();
+                    
+                    ctx.font = "12px sans-serif";
+                    ctx.textBaseline = "middle";
+                    ctx.textAlign = "left";
+                    ctx.fillStyle = LiteGraph.WIDGET_SECONDARY_TEXT_COLOR;
+                    ctx.fillText(this.name, margin * 2, y + widgetHeight / 2);
+                    const labelWidth = ctx.measureText(this.name).width;
+                    
+                    // Long paths lose their start, so the file name stays readable
+                    let text = `${this.value} 🔍`;
+                    const maxWidth = widgetWidth - margin * 4 - labelWidth - 10;
+                    while (text.length > 4 && ctx.measureText(text).width > maxWidth) {
+                        text = "…" + text.slice(4);
+                    }
+                    ctx.textAlign = "right";
+                    const lora = node.loraState.loras.find(l => l.id === loraId);
+                    ctx.fillStyle = lora && node.isLoraMissing(lora) ? "#f66" : LiteGraph.WIDGET_TEXT_COLOR;
+                    ctx.fillText(text, widgetWidth - margin * 2, y + widgetHeight / 2);
+                    ctx.restore();
+                },
+                mouse(event, pos, node) {
+                    if (event.type.replace("mouse", "pointer") !== "pointerdown") return false;
+                    const lora = node.loraState.loras.find(l => l.id === loraId);
+                    if (!lora) return false;
+                    
+                    showLoraPicker(lora.name, (name) => {
+                        lora.name = name;
+                        this.value = name;
+                        node.saveState();
+                        node.setDirtyCanvas(true, true);
+                    });
+                    return true;
+                }
+            });
+            loraWidget._loraId = loraId;
+            loraWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(loraWidget);
+            
+            // Remove button
+            const removeBtn = this.addWidget("button", "✕", null,
+                () => this.removeLora(loraId)
+            );
+            removeBtn._loraId = loraId;
+            removeBtn._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(removeBtn);
+            
+            // Preset selector: built-ins, user-saved block presets, then Custom
+            const presetValues = [...BUILTIN_PRESETS, ...Object.keys(blockPresets), "Custom"];
+            if (!presetValues.includes(loraData.preset)) {
+                // A user preset from another machine; its vectors are stored on the LoRA
+                presetValues.splice(presetValues.length - 1, 0, loraData.preset);
+            }
+            const presetWidget = this.addWidget("combo",
+                `${prefix}Type`,
+                loraData.preset,
+                (v) => {
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        this.setLoraPreset(lora, v);
+                        this.rebuildUI();
+                        this.saveState();
+                    }
+                },
+                { values: presetValues }
+            );
+            presetWidget._loraId = loraId;
+            presetWidget._groupId = groupId;
+            presetWidget._isPresetWidget = true;
+            this.moveWidgetBeforeActionButtons(presetWidget);
+            
+            // Trigger word override, comma-separated. Empty uses the words from the file's metadata.
+            const triggerWidget = this.addWidget("text",
+                `${prefix}Trigger words`,
+                loraData.trigger_words ?? "",
+                (v) => {
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.trigger_words = v.trim() ? v.trim() : null;
+                        this.saveState();
+                    }
+                }
+            );
+            triggerWidget._loraId = loraId;
+            triggerWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(triggerWidget);
+            
+            // Subtractive LoRAs (sliders, "anti-" LoRAs) are applied with their strength negated
+            const subtractWidget = ComfyWidgets.BOOLEAN(this, "subtract_temp", ["BOOLEAN", { default: !!loraData.subtract }], app).widget;
+            subtractWidget.name = `${prefix}➖ Subtract`;
+            subtractWidget.value = !!loraData.subtract;
+            const origSubtractCallback = subtractWidget.callback;
+            subtractWidget.callback = (v) => {
+                if (origSubtractCallback) origSubtractCallback.call(subtractWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.subtract = v;
+                    this.saveState();
+                }
+            };
+            subtractWidget._loraId = loraId;
+            subtractWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(subtractWidget);
+            
+            // Custom and user presets carry their own vectors, editable inline
+            if (loraData.block_weights) {
+                this.createBlockWeightEditor(loraId, groupId, loraData);
+            }
+            
+            if (groupId !== null) {
+                // Grouped LoRA - lock controls
+                this.createGroupedLoraControls(loraId, groupId, loraData);
+            } else {
+                // Ungrouped LoRA - full controls
+                this.createUngroupedLoraControls(loraId, loraData);
+            }
+        };
+        
+        /**
+         * Switch a LoRA's Type preset. Built-ins clear the custom vectors, user presets copy
+         * theirs onto the LoRA, and Custom starts from whatever the LoRA had before.
+         */
+        nodeType.prototype.setLoraPreset = function(lora, preset) {
+            if (preset === "Custom") {
+                lora.block_weights = lora.block_weights ?? presetBlockWeights(lora.preset);
+                lora.clip_weights = lora.clip_weights ?? CLIP_LAYER_NAMES.map(() => 1.0);
+            } else if (blockPresets[preset]) {
+                lora.block_weights = [...blockPresets[preset].model];
+                lora.clip_weights = blockPresets[preset].clip ? [...blockPresets[preset].clip] : null;
+            } else if (BUILTIN_PRESETS.includes(preset)) {
+                lora.block_weights = null;
+                lora.clip_weights = null;
+            }
+            lora.preset = preset;
+        };
+        
+        /**
+         * Create the inline block-weight editor: one bar per UNet block for MODEL and one per
+         * text encoder layer group for CLIP. Dragging a bar sets its weight.
+         */
+        nodeType.prototype.createBlockWeightEditor = function(loraId, groupId, loraData) {
+            const node = this;
+            const titleHeight = 14;
+            const modelHeight = 50;
+            const clipHeight = 36;
+            const labelHeight = 12;
+            const margin = 15;
+            
+            // Chart rectangles relative to the widget's top
+            const charts = (width) => [
+                { key: "block_weights", names: BLOCK_NAMES, x: margin, y: titleHeight, width: width - margin * 2, height: modelHeight },
+                {
+                    key: "clip_weights", names: CLIP_LAYER_NAMES, x: margin,
+                    y: titleHeight + modelHeight + labelHeight + titleHeight, width: width - margin * 2, height: clipHeight
+                }
+            ];
+            
+            const editorWidget = this.addCustomWidget({
+                name: "block_weight_editor",
+                type: "block_weight_editor",
+                value: null,
+                serialize: false,
+                _active: null,
+                draw(ctx, node, widgetWidth, y, widgetHeight) {
+                    this._y = y;
+                    const lora = node.loraState.loras.find(l => l.id === loraId);
+                    if (!lora?.block_weights) return;
+                    
+                    ctx.save();
+                    ctx.font = "10px sans-serif";
+                    ctx.textBaseline = "middle";
+                    
+                    for (const chart of charts(widgetWidth)) {
+                        const weights = lora[chart.key] ?? chart.names.map(() => 1.0);
+                        const active = this._active?.key === chart.key ? this._active.index : -1;
+                        const top = y + chart.y;
+                        
+                        ctx.fillStyle = "#aaa";
+                        ctx.textAlign = "left";
+                        ctx.fillText(chart.key === "block_weights" ? "MODEL blocks" : "CLIP layers", chart.x, top - titleHeight / 2);
+                        if (active >= 0) {
+                            ctx.textAlign = "right";
+                            ctx.fillStyle = "#ffd966";
+                            ctx.fillText(`${chart.names[active]}: ${weights[active].toFixed(2)}`, chart.x + chart.width, top - titleHeight / 2);
+                        }
+                        
+                        drawWeightBars(ctx, chart.x, top, chart.width, chart.height, weights, active);
+                        
+                        // Section labels under the bars
+                        ctx.fillStyle = "#777";
+                        ctx.textAlign = "center";
+                        const slot = chart.width / chart.names.length;
+                        const sections = chart.key === "block_weights"
+                            ? [["IN", 0, 12], ["MID", 12, 13], ["OUT", 13, 25]]
+                            : [["TE", 0, 12]];
+                        for (const [label, start, end] of sections) {
+                            ctx.fillText(label, chart.x + (start + end) / 2 * slot, top + chart.height + labelHeight / 2);
+                        }
+                    }
+                    
+                    ctx.restore();
+                },
+                mouse(event, pos, node) {
+                    const type = event.type.replace("mouse", "pointer");
+                    const lora = node.loraState.loras.find(l => l.id === loraId);
+                    if (!lora?.block_weights || this._y === undefined) return false;
+                    
+                    if (type === "pointerup") {
+                        if (this._active) {
+                            this._active = null;
+                            node.saveState();
+                            node.setDirtyCanvas(true, true);
+                        }
+                        return true;
+                    }
+                    
+                    const localY = pos[1] - this._y;
+                    let chart = null;
+                    if (type === "pointerdown") {
+                        chart = charts(node.size[0]).find(c => localY >= c.y - 2 && localY <= c.y + c.height + 2);
+                        if (!chart) return false;
+                    } else if (type === "pointermove" && this._active) {
+                        chart = charts(node.size[0]).find(c => c.key === this._active.key);
+                    } else {
+                        return false;
+                    }
+                    
+                    const index = Math.max(0, Math.min(chart.names.length - 1,
+                        Math.floor((pos[0] - chart.x) / (chart.width / chart.names.length))));
+                    const raw = (chart.y + chart.height - localY) / chart.height * BLOCK_WEIGHT_MAX;
+                    const weight = Math.round(Math.max(0, Math.min(BLOCK_WEIGHT_MAX, raw)) / BLOCK_WEIGHT_STEP) * BLOCK_WEIGHT_STEP;
+                    
+                    if (!lora[chart.key]) {
+                        lora[chart.key] = chart.names.map(() => 1.0);
+                    }
+                    lora[chart.key][index] = Number(weight.toFixed(2));
+                    this._active = { key: chart.key, index };
+                    
+                    // Editing a user preset's vectors makes the LoRA Custom
+                    if (lora.preset !== "Custom") {
+                        lora.preset = "Custom";
+                        const presetWidget = node.widgets.find(w => w._isPresetWidget && w._loraId === loraId);
+                        if (presetWidget) presetWidget.value = "Custom";
+                    }
+                    
+                    node.setDirtyCanvas(true, true);
+                    return true;
+                },
+                computeSize(width) {
+                    return [width, titleHeight + modelHeight + labelHeight + titleHeight + clipHeight + labelHeight + 4];
+                }
+            });
+            editorWidget._loraId = loraId;
+            editorWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(editorWidget);
+            
+            const savePresetBtn = this.addWidget("button", `${groupId ? "    " : ""}💾 Save blocks as preset…`, null,
+                () => node.saveBlockPreset(loraId)
+            );
+            savePresetBtn._loraId = loraId;
+            savePresetBtn._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(savePresetBtn);
+        };
+        
+        /**
+         * Save a LoRA's block and CLIP vectors as a named Type preset shared with the team
+         */
+        nodeType.prototype.saveBlockPreset = async function(loraId) {
+            const lora = this.loraState.loras.find(l => l.id === loraId);
+            if (!lora?.block_weights) return;
+            
+            const name = prompt("Save block weights as preset:", lora.preset !== "Custom" ? lora.preset : "")?.trim();
+            if (!name) return;
+            
+            if (BUILTIN_PRESETS.includes(name) || name === "Custom") {
+                alert(`"${name}" is a built-in preset name.`);
+                return;
+            }
+            if (blockPresets[name] && !confirm(`Block preset "${name}" already exists. Overwrite it?`)) {
+                return;
+            }
+            
+            try {
+                await presetRequest("block_presets", name, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ model: lora.block_weights, clip: lora.clip_weights })
+                });
+            } catch (e) {
+                console.error("[LoRA Stacker] Failed to save block preset:", e);
+                alert(`Failed to save block preset "${name}": ${e.message}`);
+                return;
+            }
+            
+            lora.preset = name;
+            this.rebuildUI();
+            this.saveState();
+            console.log(`[LoRA Stacker] Saved block preset "${name}"`);
+        };
+        
+        /**
+         * Delete a user-saved block preset. LoRAs using it keep their copy of the vectors.
+         */
+        nodeType.prototype.deleteBlockPreset = async function(name) {
+            if (!confirm(`Delete block preset "${name}"? LoRAs using it keep their current weights.`)) {
+                return;
+            }
+            
+            try {
+                await presetRequest("block_presets", name, { method: "DELETE" });
+                this.rebuildUI();
+                console.log(`[LoRA Stacker] Deleted block preset "${name}"`);
+            } catch (e) {
+                console.error("[LoRA Stacker] Failed to delete block preset:", e);
+                alert(`Failed to delete block preset "${name}": ${e.message}`);
+            }
+        };
+        
+        /**
+         * Create controls for grouped LoRA (lock controls)
+         */
+        nodeType.prototype.createGroupedLoraControls = function(loraId, groupId, loraData) {
+            // Share weight (only used by the group's weighted distribution)
+            const group = this.loraState.groups.find(g => g.id === groupId);
+            if (group && groupDistribution(group).mode === "weighted") {
+                const weightWidget = ComfyWidgets.FLOAT(this, "weight_temp", ["FLOAT", { 
+                    default: loraData.weight ?? 1.0, 
+                    min: 0.0, 
+                    max: 100.0, 
+                    step: 0.1 
+                }], app).widget;
+                weightWidget.name = "    ⚖ Weight";
+                weightWidget.value = loraData.weight ?? 1.0;
+                const origWeightCallback = weightWidget.callback;
+                weightWidget.callback = (v) => {
+                    if (origWeightCallback) origWeightCallback.call(weightWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.weight = v;
+                        this.saveState();
+                    }
+                };
+                weightWidget._loraId = loraId;
+                weightWidget._groupId = groupId;
+                this.moveWidgetBeforeActionButtons(weightWidget);
+            }
+            
+            // MODEL lock checkbox
+            const lockModelResult = ComfyWidgets.BOOLEAN(this, "lock_model_temp", ["BOOLEAN", { default: loraData.lock_model }], app);
+            const lockModelWidget = lockModelResult.widget;
+            lockModelWidget.name = "    🔒 MODEL";
+            lockModelWidget.value = loraData.lock_model;
+            const origLockModelCallback = lockModelWidget.callback;
+            lockModelWidget.callback = (v) => {
+                if (origLockModelCallback) origLockModelCallback.call(lockModelWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.lock_model = v;
+                    this.rebuildUI();
                     this.saveState();
-                    return this.stackDataWidget.value;
+                }
+            };
+            lockModelWidget._loraId = loraId;
+            lockModelWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(lockModelWidget);
+            
+            // Locked MODEL value (only show if locked)
+            if (loraData.lock_model) {
+                const lockedModelValueResult = ComfyWidgets.FLOAT(this, "locked_model_value_temp", ["FLOAT", { 
+                    default: loraData.locked_model_value, 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app);
+                const lockedModelValueWidget = lockedModelValueResult.widget;
+                lockedModelValueWidget.name = "      Value";
+                lockedModelValueWidget.value = loraData.locked_model_value;
+                const origLockedModelCallback = lockedModelValueWidget.callback;
+                lockedModelValueWidget.callback = (v) => {
+                    if (origLockedModelCallback) origLockedModelCallback.call(lockedModelValueWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.locked_model_value = v;
+                        this.saveState();
+                    }
+                };
+                lockedModelValueWidget._loraId = loraId;
+                lockedModelValueWidget._groupId = groupId;
+                this.moveWidgetBeforeActionButtons(lockedModelValueWidget);
+            }
+            
+            // CLIP lock checkbox
+            const lockClipResult = ComfyWidgets.BOOLEAN(this, "lock_clip_temp", ["BOOLEAN", { default: loraData.lock_clip }], app);
+            const lockClipWidget = lockClipResult.widget;
+            lockClipWidget.name = "    🔒 CLIP";
+            lockClipWidget.value = loraData.lock_clip;
+            const origLockClipCallback = lockClipWidget.callback;
+            lockClipWidget.callback = (v) => {
+                if (origLockClipCallback) origLockClipCallback.call(lockClipWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.lock_clip = v;
+                    this.rebuildUI();
+                    this.saveState();
+                }
+            };
+            lockClipWidget._loraId = loraId;
+            lockClipWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(lockClipWidget);
+            
+            // Locked CLIP value (only show if locked)
+            if (loraData.lock_clip) {
+                const lockedClipValueResult = ComfyWidgets.FLOAT(this, "locked_clip_value_temp", ["FLOAT", { 
+                    default: loraData.locked_clip_value, 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app);
+                const lockedClipValueWidget = lockedClipValueResult.widget;
+                lockedClipValueWidget.name = "      Value";
+                lockedClipValueWidget.value = loraData.locked_clip_value;
+                const origLockedClipCallback = lockedClipValueWidget.callback;
+                lockedClipValueWidget.callback = (v) => {
+                    if (origLockedClipCallback) origLockedClipCallback.call(lockedClipValueWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.locked_clip_value = v;
+                        this.saveState();
+                    }
+                };
+                lockedClipValueWidget._loraId = loraId;
+                lockedClipValueWidget._groupId = groupId;
+                this.moveWidgetBeforeActionButtons(lockedClipValueWidget);
+            }
+        };
+        
+        /**
+         * Create controls for ungrouped LoRA (full controls)
+         */
+        nodeType.prototype.createUngroupedLoraControls = function(loraId, loraData) {
+            // MODEL strength
+            const modelStrResult = ComfyWidgets.FLOAT(this, "model_strength_temp", ["FLOAT", { 
+                default: loraData.model_strength, 
+                min: -10.0, 
+                max: 10.0, 
+                step: 0.01 
+            }], app);
+            const modelStrWidget = modelStrResult.widget;
+            modelStrWidget.name = "MODEL Str";
+            modelStrWidget.value = loraData.model_strength;
+            const origModelStrCallback = modelStrWidget.callback;
+            modelStrWidget.callback = (v) => {
+                if (origModelStrCallback) origModelStrCallback.call(modelStrWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.model_strength = v;
+                    this.saveState();
+                }
+            };
+            modelStrWidget._loraId = loraId;
+            this.moveWidgetBeforeActionButtons(modelStrWidget);
+            
+            // Random MODEL toggle
+            const randomModelResult = ComfyWidgets.BOOLEAN(this, "random_model_temp", ["BOOLEAN", { default: loraData.random_model }], app);
+            const randomModelWidget = randomModelResult.widget;
+            randomModelWidget.name = "  🎲 Random";
+            randomModelWidget.value = loraData.random_model;
+            const origRandomModelCallback = randomModelWidget.callback;
+            randomModelWidget.callback = (v) => {
+                if (origRandomModelCallback) origRandomModelCallback.call(randomModelWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.random_model = v;
+                    if (v) lora.schedule_model = false;
+                    this.rebuildUI();
+                    this.saveState();
+                }
+            };
+            randomModelWidget._loraId = loraId;
+            this.moveWidgetBeforeActionButtons(randomModelWidget);
+            
+            // Min/Max MODEL (only show if random)
+            if (loraData.random_model) {
+                const minModelResult = ComfyWidgets.FLOAT(this, "min_model_temp", ["FLOAT", { 
+                    default: loraData.min_model, 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app);
+                const minModelWidget = minModelResult.widget;
+                minModelWidget.name = "    Min";
+                minModelWidget.value = loraData.min_model;
+                const origMinModelCallback = minModelWidget.callback;
+                minModelWidget.callback = (v) => {
+                    if (origMinModelCallback) origMinModelCallback.call(minModelWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.min_model = v;
+                        this.saveState();
+                    }
+                };
+                minModelWidget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(minModelWidget);
+                
+                const maxModelResult = ComfyWidgets.FLOAT(this, "max_model_temp", ["FLOAT", { 
+                    default: loraData.max_model, 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app);
+                const maxModelWidget = maxModelResult.widget;
+                maxModelWidget.name = "    Max";
+                maxModelWidget.value = loraData.max_model;
+                const origMaxModelCallback = maxModelWidget.callback;
+                maxModelWidget.callback = (v) => {
+                    if (origMaxModelCallback) origMaxModelCallback.call(maxModelWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.max_model = v;
+                        this.saveState();
+                    }
+                };
+                maxModelWidget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(maxModelWidget);
+            }
+            
+            this.createScheduleControls(loraId, loraData, "model");
+            
+            // CLIP strength
+            const clipStrResult = ComfyWidgets.FLOAT(this, "clip_strength_temp", ["FLOAT", { 
+                default: loraData.clip_strength, 
+                min: -10.0, 
+                max: 10.0, 
+                step: 0.01 
+            }], app);
+            const clipStrWidget = clipStrResult.widget;
+            clipStrWidget.name = "CLIP Str";
+            clipStrWidget.value = loraData.clip_strength;
+            const origClipStrCallback = clipStrWidget.callback;
+            clipStrWidget.callback = (v) => {
+                if (origClipStrCallback) origClipStrCallback.call(clipStrWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.clip_strength = v;
+                    this.saveState();
+                }
+            };
+            clipStrWidget._loraId = loraId;
+            this.moveWidgetBeforeActionButtons(clipStrWidget);
+            
+            // Random CLIP toggle
+            const randomClipResult = ComfyWidgets.BOOLEAN(this, "random_clip_temp", ["BOOLEAN", { default: loraData.random_clip }], app);
+            const randomClipWidget = randomClipResult.widget;
+            randomClipWidget.name = "  🎲 Random";
+            randomClipWidget.value = loraData.random_clip;
+            const origRandomClipCallback = randomClipWidget.callback;
+            randomClipWidget.callback = (v) => {
+                if (origRandomClipCallback) origRandomClipCallback.call(randomClipWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora.random_clip = v;
+                    if (v) lora.schedule_clip = false;
+                    this.rebuildUI();
+                    this.saveState();
+                }
+            };
+            randomClipWidget._loraId = loraId;
+            this.moveWidgetBeforeActionButtons(randomClipWidget);
+            
+            // Min/Max CLIP (only show if random)
+            if (loraData.random_clip) {
+                const minClipResult = ComfyWidgets.FLOAT(this, "min_clip_temp", ["FLOAT", { 
+                    default: loraData.min_clip, 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app);
+                const minClipWidget = minClipResult.widget;
+                minClipWidget.name = "    Min";
+                minClipWidget.value = loraData.min_clip;
+                const origMinClipCallback = minClipWidget.callback;
+                minClipWidget.callback = (v) => {
+                    if (origMinClipCallback) origMinClipCallback.call(minClipWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.min_clip = v;
+                        this.saveState();
+                    }
+                };
+                minClipWidget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(minClipWidget);
+                
+                const maxClipResult = ComfyWidgets.FLOAT(this, "max_clip_temp", ["FLOAT", { 
+                    default: loraData.max_clip, 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app);
+                const maxClipWidget = maxClipResult.widget;
+                maxClipWidget.name = "    Max";
+                maxClipWidget.value = loraData.max_clip;
+                const origMaxClipCallback = maxClipWidget.callback;
+                maxClipWidget.callback = (v) => {
+                    if (origMaxClipCallback) origMaxClipCallback.call(maxClipWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.max_clip = v;
+                        this.saveState();
+                    }
                 };
+                maxClipWidget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(maxClipWidget);
             }
             
-            return r;
+            this.createScheduleControls(loraId, loraData, "clip");
+            
+            // Curve and length shared by the MODEL and CLIP schedules
+            if (loraData.schedule_model || loraData.schedule_clip) {
+                const curveWidget = this.addWidget("combo",
+                    "  📈 Curve",
+                    SCHEDULE_CURVES[loraData.schedule_curve] ?? SCHEDULE_CURVES.linear,
+                    (v) => {
+                        const lora = this.loraState.loras.find(l => l.id === loraId);
+                        const curve = Object.keys(SCHEDULE_CURVES).find(k => SCHEDULE_CURVES[k] === v);
+                        if (lora && curve) {
+                            lora.schedule_curve = curve;
+                            this.saveState();
+                        }
+                    },
+                    { values: Object.values(SCHEDULE_CURVES) }
+                );
+                curveWidget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(curveWidget);
+                
+                const stepsWidget = ComfyWidgets.INT(this, "schedule_steps_temp", ["INT", { 
+                    default: loraData.schedule_steps ?? 10, 
+                    min: 2, 
+                    max: 1000, 
+                    step: 1 
+                }], app).widget;
+                stepsWidget.name = "  📈 Steps";
+                stepsWidget.value = loraData.schedule_steps ?? 10;
+                const origStepsCallback = stepsWidget.callback;
+                stepsWidget.callback = (v) => {
+                    if (origStepsCallback) origStepsCallback.call(stepsWidget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora.schedule_steps = v;
+                        this.saveState();
+                    }
+                };
+                stepsWidget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(stepsWidget);
+            }
         };
         
         /**
-         * Restore the UI from the current state
+         * Create the schedule toggle of an ungrouped LoRA's MODEL or CLIP strength, and its
+         * start and end strengths while it is on
          */
-        nodeType.prototype.restoreState = function() {
-            if (!this.stackDataWidget?.value) {
-                console.log("[LoRA Stacker] No state to restore");
-                // Try loading from localStorage
-                const localState = loadStateFromLocalStorage(this.id);
-                if (localState) {
-                    this.loraState = localState;
+        nodeType.prototype.createScheduleControls = function(loraId, loraData, kind) {
+            const scheduleWidget = ComfyWidgets.BOOLEAN(this, `schedule_${kind}_temp`, ["BOOLEAN", { default: !!loraData[`schedule_${kind}`] }], app).widget;
+            scheduleWidget.name = "  📈 Schedule";
+            scheduleWidget.value = !!loraData[`schedule_${kind}`];
+            const origScheduleCallback = scheduleWidget.callback;
+            scheduleWidget.callback = (v) => {
+                if (origScheduleCallback) origScheduleCallback.call(scheduleWidget, v);
+                const lora = this.loraState.loras.find(l => l.id === loraId);
+                if (lora) {
+                    lora[`schedule_${kind}`] = v;
+                    if (v) lora[`random_${kind}`] = false;
+                    this.rebuildUI();
                     this.saveState();
-                } else {
-                    return;
                 }
-            }
+            };
+            scheduleWidget._loraId = loraId;
+            this.moveWidgetBeforeActionButtons(scheduleWidget);
             
-            try {
-                const state = JSON.parse(this.stackDataWidget.value);
-                console.log("[LoRA Stacker] Restoring state:", state);
-                
-                // Clear existing UI (except base widgets)
-                this.clearDynamicWidgets();
-                
-                // Update state
-                this.loraState = state;
-                
-                // Rebuild UI from state
-                this.rebuildUI();
-                
-            } catch (e) {
-                console.error("[LoRA Stacker] Failed to restore state:", e);
+            if (!loraData[`schedule_${kind}`]) return;
+            
+            for (const [label, field] of [["    Start", `start_${kind}`], ["    End", `end_${kind}`]]) {
+                const widget = ComfyWidgets.FLOAT(this, `${field}_temp`, ["FLOAT", { 
+                    default: loraData[field], 
+                    min: -10.0, 
+                    max: 10.0, 
+                    step: 0.01 
+                }], app).widget;
+                widget.name = label;
+                widget.value = loraData[field];
+                const origCallback = widget.callback;
+                widget.callback = (v) => {
+                    if (origCallback) origCallback.call(widget, v);
+                    const lora = this.loraState.loras.find(l => l.id === loraId);
+                    if (lora) {
+                        lora[field] = v;
+                        this.saveState();
+                    }
+                };
+                widget._loraId = loraId;
+                this.moveWidgetBeforeActionButtons(widget);
             }
         };
         
         /**
-         * Clear all dynamic widgets (groups and loras)
+         * Create the drag handle row that starts a LoRA. Dragging it moves the LoRA
+         * within its group, into another group, or out to the ungrouped area.
          */
-        nodeType.prototype.clearDynamicWidgets = function() {
-            // Keep only seed, stack_data, and action buttons
-            const keepWidgets = [
-                this.widgets.find(w => w.name === "seed"),
-                this.stackDataWidget,
-                this.addLoraButton,
-                this.addGroupButton
-            ].filter(w => w); // Filter out undefined
-            
-            // Remove all other widgets
-            const toRemove = this.widgets.filter(w => !keepWidgets.includes(w));
-            for (const widget of toRemove) {
-                const idx = this.widgets.indexOf(widget);
-                if (idx >= 0) {
-                    this.widgets.splice(idx, 1);
+        nodeType.prototype.createDragHandle = function(loraId, groupId) {
+            const handleWidget = this.addCustomWidget({
+                name: "lora_drag_handle",
+                type: "lora_drag_handle",
+                value: null,
+                serialize: false,
+                draw(ctx, node, widgetWidth, y, widgetHeight) {
+                    const lora = node.loraState.loras.find(l => l.id === loraId);
+                    const dragging = node._drag?.loraId === loraId;
+                    const enabled = lora?.enabled !== false;
+                    const solo = node.loraState.solo_lora_id === loraId;
+                    const x = groupId ? 30 : 15;
+                    
+                    ctx.save();
+                    ctx.strokeStyle = "#333";
+                    ctx.beginPath();
+                    ctx.moveTo(x, y + 2);
+                    ctx.lineTo(widgetWidth - 15, y + 2);
+                    ctx.stroke();
+                    
+                    ctx.font = "11px sans-serif";
+                    ctx.textAlign = "left";
+                    ctx.textBaseline = "middle";
+                    
+                    // Enabled toggle
+                    ctx.fillStyle = enabled ? "#6c6" : "#666";
+                    ctx.fillText(enabled ? "●" : "○", x, y + widgetHeight / 2 + 1);
+                    
+                    const missing = !!lora && node.isLoraMissing(lora);
+                    ctx.fillStyle = dragging ? "#ffd966" : missing ? "#f66" : "#777";
+                    const name = (lora?.name || "None").split(/[\\/]/).pop();
+                    let status = solo ? " (solo)" : enabled ? "" : " (disabled)";
+                    if (missing) {
+                        const suggestion = suggestLoraReplacement(lora.name);
+                        status += suggestion ? ` — missing, closest: ${a1111LoraName(suggestion)}` : " — missing";
+                    }
+                    ctx.fillText(`⠿  ${name}${status}`, x + 16, y + widgetHeight / 2 + 1);
+                    
+                    ctx.fillStyle = node._infoLoraId === loraId ? "#8cf" : "#777";
+                    ctx.textAlign = "right";
+                    ctx.fillText("ℹ", widgetWidth - 15, y + widgetHeight / 2 + 1);
+                    
+                    // Solo toggle
+                    ctx.fillStyle = solo ? "#ffd966" : "#777";
+                    ctx.font = solo ? "bold 11px sans-serif" : "11px sans-serif";
+                    ctx.fillText("S", widgetWidth - 35, y + widgetHeight / 2 + 1);
+                    ctx.font = "11px sans-serif";
+                    
+                    // Badge for LoRAs whose keys mostly didn't match the model on the last run
+                    const coverage = node.getLoraCoverage(loraId);
+                    if (coverage && coverage.status !== "ok") {
+                        ctx.fillStyle = coverage.status === "none" ? "#f66" : "#fa4";
+                        ctx.fillText(`⚠ ${coverage.matched}/${coverage.modules} keys`, widgetWidth - 50, y + widgetHeight / 2 + 1);
+                    }
+                    ctx.restore();
+                },
+                mouse(event, pos, node) {
+                    const type = event.type.replace("mouse", "pointer");
+                    if (type === "pointerdown" && pos[0] > node.size[0] - 30) {
+                        // The info icon pins the metadata panel for this LoRA
+                        node._infoLoraId = node._infoLoraId === loraId ? null : loraId;
+                    } else if (type === "pointerdown" && pos[0] > node.size[0] - 48) {
+                        node.setSoloLora(node.loraState.solo_lora_id === loraId ? null : loraId);
+                    } else if (type === "pointerdown" && pos[0] < (groupId ? 30 : 15) + 14) {
+                        node.toggleLoraEnabled(loraId);
+                    } else if (type === "pointerdown") {
+                        node._drag = { loraId, y: pos[1] };
+                    } else if (type === "pointermove" && node._drag?.loraId === loraId) {
+                        node._drag.y = pos[1];
+                    } else if (type === "pointerup" && node._drag?.loraId === loraId) {
+                        const target = node.getLoraDropTarget(pos[1]);
+                        node._drag = null;
+                        if (target) node.moveLora(loraId, target);
+                    } else {
+                        return false;
+                    }
+                    node.setDirtyCanvas(true, true);
+                    return true;
+                },
+                computeSize(width) {
+                    return [width, 16];
                 }
-            }
+            });
+            handleWidget._loraId = loraId;
+            handleWidget._groupId = groupId;
+            this.moveWidgetBeforeActionButtons(handleWidget);
         };
         
         /**
-         * Rebuild the entire UI from state
+         * Vertical extents of each LoRA's and group's widgets from their last drawn positions:
+         * {loraRows: Map(loraId → {top, bottom, groupId}), groupRows: Map(groupId → ...), stackBottom}
          */
-        nodeType.prototype.rebuildUI = function() {
-            const state = this.loraState;
+        nodeType.prototype.getRowExtents = function() {
+            const loraRows = new Map();
+            const groupRows = new Map();
+            let stackBottom = null;
             
-            // Clear dynamic widgets first
-            this.clearDynamicWidgets();
-            
-            // Build mapping of old IDs to new IDs
-            const groupIdMap = new Map();
-            const loraIdMap = new Map();
-            
-            let nextGlobalGroupId = 1;
-            let nextGlobalLoraId = 1;
-            
-            // Rebuild groups and their loras
-            for (const groupData of state.groups || []) {
-                const oldGroupId = groupData.id;
-                const newGroupId = nextGlobalGroupId++;
-                groupIdMap.set(oldGroupId, newGroupId);
-                
-                this.createGroupWidgets(newGroupId, groupData);
-                
-                // Add loras for this group
-                const groupLoras = (state.loras || []).filter(l => l.group_id === oldGroupId);
-                for (const loraData of groupLoras) {
-                    const oldLoraId = loraData.id;
-                    const newLoraId = nextGlobalLoraId++;
-                    loraIdMap.set(oldLoraId, newLoraId);
-                    
-                    this.createLoraWidgets(newLoraId, newGroupId, loraData);
+            const extend = (rows, key, top, bottom, groupId) => {
+                const row = rows.get(key);
+                if (row) {
+                    row.top = Math.min(row.top, top);
+                    row.bottom = Math.max(row.bottom, bottom);
+                } else {
+                    rows.set(key, { top, bottom, groupId });
                 }
-            }
+            };
             
-            // Rebuild ungrouped loras
-            const ungroupedLoras = (state.loras || []).filter(l => !l.group_id);
-            for (const loraData of ungroupedLoras) {
-                const oldLoraId = loraData.id;
-                const newLoraId = nextGlobalLoraId++;
-                loraIdMap.set(oldLoraId, newLoraId);
+            for (const widget of this.widgets) {
+                if (widget.last_y === undefined) continue;
+                const height = widget.computeSize ? widget.computeSize(this.size[0])[1] : 20;
+                if (height <= 0) continue;
+                const top = widget.last_y;
+                const bottom = top + height;
                 
-                this.createLoraWidgets(newLoraId, null, loraData);
+                if (widget._loraId) {
+                    extend(loraRows, widget._loraId, top, bottom, widget._groupId ?? null);
+                }
+                if (widget._groupId) {
+                    extend(groupRows, widget._groupId, top, bottom, widget._groupId);
+                }
+                if (widget._loraId || widget._groupId) {
+                    stackBottom = Math.max(stackBottom ?? bottom, bottom);
+                }
             }
             
-            // Update IDs in state to match new IDs
-            for (const group of state.groups || []) {
-                const newId = groupIdMap.get(group.id);
-                if (newId) group.id = newId;
-            }
-            for (const lora of state.loras || []) {
-                const newLoraId = loraIdMap.get(lora.id);
-                const newGroupId = lora.group_id ? groupIdMap.get(lora.group_id) : null;
-                if (newLoraId) lora.id = newLoraId;
-                if (newGroupId !== undefined) lora.group_id = newGroupId;
+            return { loraRows, groupRows, stackBottom };
+        };
+        
+        /**
+         * The LoRA whose widgets cover a y position in node coordinates, or null
+         */
+        nodeType.prototype.getLoraAt = function(y) {
+            for (const [loraId, row] of this.getRowExtents().loraRows) {
+                if (y >= row.top && y <= row.bottom) return loraId;
             }
-            
-            // Update counters
-            this.nextGroupId = nextGlobalGroupId;
-            this.nextLoraId = nextGlobalLoraId;
-            
-            this.setSize(this.computeSize());
+            return null;
         };
         
         /**
-         * Add a new group
+         * Enable or disable a LoRA without losing its settings
          */
-        nodeType.prototype.addGroup = function() {
-            const groupId = this.nextGroupId++;
-            const groupIndex = this.loraState.groups.length + 1;
+        nodeType.prototype.toggleLoraEnabled = function(loraId) {
+            const lora = this.loraState.loras.find(l => l.id === loraId);
+            if (!lora) return;
             
-            const groupData = {
-                id: groupId,
-                index: groupIndex,
-                max_model: 1.0,
-                max_clip: 1.0
-            };
+            lora.enabled = lora.enabled === false;
+            console.log(`[LoRA Stacker] ${lora.enabled ? "Enabled" : "Disabled"} LoRA ${loraId}`);
             
-            this.loraState.groups.push(groupData);
-            this.createGroupWidgets(groupId, groupData);
+            // Grouped LoRAs may show or hide the group's disabled-share setting
+            this.rebuildUI();
             this.saveState();
-            this.setSize(this.computeSize());
         };
         
         /**
-         * Create widgets for a group (appends to end before action buttons)
+         * Solo a LoRA, so it is the only one applied, or pass null to leave solo mode
          */
-        nodeType.prototype.createGroupWidgets = function(groupId, groupData) {
-            // Header button (collapse/expand)
-            const collapsed = this.collapsedGroups.has(groupId);
-            const headerWidget = this.addWidget("button", 
-                `${collapsed ? '▶' : '▼'} Group ${groupData.index}`, 
-                null, 
-                () => this.toggleGroupCollapse(groupId)
-            );
-            headerWidget._groupId = groupId;
-            headerWidget._isGroupWidget = true;
-            this.moveWidgetBeforeActionButtons(headerWidget);
+        nodeType.prototype.setSoloLora = function(loraId) {
+            this.loraState.solo_lora_id = loraId;
+            console.log(`[LoRA Stacker] ${loraId === null ? "Cleared solo" : `Soloed LoRA ${loraId}`}`);
+            this.saveState();
+            this.setDirtyCanvas(true, true);
+        };
+        
+        /**
+         * Prompt for the strength a soloed LoRA is auditioned at. Blank uses its resolved strength.
+         */
+        nodeType.prototype.editSoloStrength = function() {
+            const current = this.loraState.solo_strength;
+            const value = prompt("Audition strength for the soloed LoRA (blank for its resolved strength):",
+                current == null ? "" : String(current));
+            if (value === null) return;
             
-            // Remove button
-            const removeBtn = this.addWidget("button", "✕ Remove", null, 
-                () => this.removeGroup(groupId)
-            );
-            removeBtn._groupId = groupId;
-            removeBtn._isGroupWidget = true;
-            this.moveWidgetBeforeActionButtons(removeBtn);
+            const strength = value.trim() === "" ? null : Number(value);
+            if (strength !== null && !Number.isFinite(strength)) {
+                alert(`Not a number: ${value}`);
+                return;
+            }
+            this.loraState.solo_strength = strength;
+            this.saveState();
+            this.setDirtyCanvas(true, true);
+        };
+        
+        /**
+         * Work out where a dragged LoRA would land for a y position in node coordinates.
+         * Returns {groupId, beforeLoraId | afterLoraId, lineY} or null if over nothing droppable.
+         */
+        nodeType.prototype.getLoraDropTarget = function(y) {
+            const { loraRows, groupRows, stackBottom } = this.getRowExtents();
             
-            // Max MODEL strength
-            const maxModelWidget = ComfyWidgets.FLOAT(this, "max_model_temp", ["FLOAT", { 
-                default: groupData.max_model, 
-                min: 0.0, 
-                max: 10.0, 
-                step: 0.01 
-            }], app).widget;
-            maxModelWidget.name = "  Max MODEL";
-            maxModelWidget.value = groupData.max_model;
-            const origCallback = maxModelWidget.callback;
-            maxModelWidget.callback = (v) => {
-                if (origCallback) origCallback.call(maxModelWidget, v);
-                const group = this.loraState.groups.find(g => g.id === groupId);
-                if (group) {
-                    group.max_model = v;
-                    this.saveState();
+            for (const [loraId, row] of loraRows) {
+                if (y >= row.top && y <= row.bottom) {
+                    return y < (row.top + row.bottom) / 2
+                        ? { groupId: row.groupId, beforeLoraId: loraId, lineY: row.top }
+                        : { groupId: row.groupId, afterLoraId: loraId, lineY: row.bottom };
                 }
-            };
-            maxModelWidget._groupId = groupId;
-            maxModelWidget._isGroupWidget = true;
-            this.moveWidgetBeforeActionButtons(maxModelWidget);
-            
-            // Max CLIP strength
-            const maxClipWidget = ComfyWidgets.FLOAT(this, "max_clip_temp", ["FLOAT", { 
-                default: groupData.max_clip, 
-                min: 0.0, 
-                max: 10.0, 
-                step: 0.01 
-            }], app).widget;
-            maxClipWidget.name = "  Max CLIP";
-            maxClipWidget.value = groupData.max_clip;
-            const origClipCallback = maxClipWidget.callback;
-            maxClipWidget.callback = (v) => {
-                if (origClipCallback) origClipCallback.call(maxClipWidget, v);
-                const group = this.loraState.groups.find(g => g.id === groupId);
-                if (group) {
-                    group.max_clip = v;
-                    this.saveState();
+            }
+            for (const [groupId, row] of groupRows) {
+                if (y >= row.top && y <= row.bottom) {
+                    return { groupId, lineY: row.bottom };
                 }
-            };
-            maxClipWidget._groupId = groupId;
-            maxClipWidget._isGroupWidget = true;
-            this.moveWidgetBeforeActionButtons(maxClipWidget);
+            }
             
-            // Add LoRA to group button
-            const addLoraBtn = this.addWidget("button", "  ➕ Add LoRA", null,
-                () => this.addLora(groupId)
-            );
-            addLoraBtn._groupId = groupId;
-            addLoraBtn._isGroupWidget = true;
-            this.moveWidgetBeforeActionButtons(addLoraBtn);
+            // Anywhere below the stack drops into the ungrouped area
+            const ungroupedBottom = [...loraRows.values()]
+                .filter(row => row.groupId === null)
+                .reduce((max, row) => Math.max(max, row.bottom), stackBottom ?? 0);
+            if (y > (stackBottom ?? 0)) {
+                return { groupId: null, lineY: ungroupedBottom };
+            }
+            return null;
+        };
+        
+        /**
+         * Strengths a LoRA resolves to for the current seed
+         */
+        nodeType.prototype.getResolvedStrengths = function(loraId) {
+            const preview = this.getStrengthPreview();
+            for (const groupPreview of preview.groups) {
+                const i = groupPreview.loras.findIndex(l => l.id === loraId);
+                if (i >= 0) return { model: groupPreview.model[i], clip: groupPreview.clip[i] };
+            }
+            const ungrouped = previewUngroupedStrengths(withSoloEnabled(this.loraState), preview.seed, preview.step).find(p => p.lora.id === loraId);
+            return ungrouped ? { model: ungrouped.model, clip: ungrouped.clip } : null;
+        };
+        
+        /**
+         * Move a LoRA to a drop target from getLoraDropTarget, converting its fields if it
+         * switches between grouped and ungrouped mode
+         */
+        nodeType.prototype.moveLora = function(loraId, target) {
+            const loras = this.loraState.loras;
+            const loraIdx = loras.findIndex(l => l.id === loraId);
+            if (loraIdx < 0 || target.beforeLoraId === loraId || target.afterLoraId === loraId) return;
+            
+            const converted = convertLoraMode(loras[loraIdx], target.groupId, this.getResolvedStrengths(loraId));
+            loras.splice(loraIdx, 1);
+            
+            let insertIdx = loras.length;
+            if (target.beforeLoraId) {
+                insertIdx = loras.findIndex(l => l.id === target.beforeLoraId);
+            } else if (target.afterLoraId) {
+                insertIdx = loras.findIndex(l => l.id === target.afterLoraId) + 1;
+            } else if (target.groupId !== null) {
+                // Append after the group's last LoRA
+                const lastInGroup = loras.map(l => l.group_id).lastIndexOf(target.groupId);
+                if (lastInGroup >= 0) insertIdx = lastInGroup + 1;
+            }
+            loras.splice(insertIdx, 0, converted);
+            
+            console.log(`[LoRA Stacker] Moved LoRA ${loraId} to ${target.groupId ? `group ${target.groupId}` : "ungrouped"}`);
+            this.rebuildUI();
+            this.saveState();
+        };
+        
+        /**
+         * Remove a LoRA
+         */
+        nodeType.prototype.removeLora = function(loraId) {
+            const loraIdx = this.loraState.loras.findIndex(l => l.id === loraId);
+            if (loraIdx < 0) return;
+            
+            this.loraState.loras.splice(loraIdx, 1);
+            if (this._infoLoraId === loraId) this._infoLoraId = null;
+            if (this.loraState.solo_lora_id === loraId) this.loraState.solo_lora_id = null;
+            this.rebuildUI();
+            this.saveState();
         };
         
         /**
-         * Move a widget before the action buttons
+         * Save the current stack to the shared preset library under a name
          */
-        nodeType.prototype.moveWidgetBeforeActionButtons = function(widget) {
-            const widgetIdx = this.widgets.indexOf(widget);
-            const actionButtonIdx = this.widgets.indexOf(this.addLoraButton);
+        nodeType.prototype.saveStackPreset = async function() {
+            const name = prompt("Save stack as:", this._lastStackPreset || "")?.trim();
+            if (!name) return;
             
-            if (widgetIdx > actionButtonIdx) {
-                this.widgets.splice(widgetIdx, 1);
-                this.widgets.splice(actionButtonIdx, 0, widget);
+            if (stackPresetNames.includes(name) && !confirm(`Preset "${name}" already exists. Overwrite it?`)) {
+                return;
+            }
+            
+            this.saveState();
+            try {
+                await presetRequest("stack_presets", name, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ state: this.loraState })
+                });
+                this._lastStackPreset = name;
+                console.log(`[LoRA Stacker] Saved stack preset "${name}"`);
+            } catch (e) {
+                console.error("[LoRA Stacker] Failed to save stack preset:", e);
+                alert(`Failed to save preset "${name}": ${e.message}`);
             }
         };
         
         /**
-         * Remove a group
+         * Replace the current stack with a preset from the library.
+         * Goes through restoreState so presets are migrated exactly like loaded workflows.
          */
-        nodeType.prototype.removeGroup = function(groupId) {
-            // Find and remove from state
-            const groupIdx = this.loraState.groups.findIndex(g => g.id === groupId);
-            if (groupIdx < 0) return;
-            
-            const group = this.loraState.groups[groupIdx];
-            
-            // Remove all loras in this group
-            this.loraState.loras = this.loraState.loras.filter(l => l.group_id !== groupId);
+        nodeType.prototype.loadStackPreset = async function(name) {
+            let preset;
+            try {
+                preset = await presetRequest("stack_presets", name);
+            } catch (e) {
+                console.error("[LoRA Stacker] Failed to load stack preset:", e);
+                alert(`Failed to load preset "${name}": ${e.message}`);
+                return;
+            }
             
-            // Remove the group
-            this.loraState.groups.splice(groupIdx, 1);
+            this.stackDataWidget.value = JSON.stringify(preset.state);
+            this.restoreState();
+            this._lastStackPreset = name;
+            this.setDirtyCanvas(true, true);
+            console.log(`[LoRA Stacker] Loaded stack preset "${name}"`);
+        };
+        
+        /**
+         * Delete a preset from the library
+         */
+        nodeType.prototype.deleteStackPreset = async function(name) {
+            if (!confirm(`Delete preset "${name}"? This affects everyone sharing the preset library.`)) {
+                return;
+            }
             
-            // Update indices
-            for (let i = 0; i < this.loraState.groups.length; i++) {
-                this.loraState.groups[i].index = i + 1;
+            try {
+                await presetRequest("stack_presets", name, { method: "DELETE" });
+                console.log(`[LoRA Stacker] Deleted stack preset "${name}"`);
+            } catch (e) {
+                console.error("[LoRA Stacker] Failed to delete stack preset:", e);
+                alert(`Failed to delete preset "${name}": ${e.message}`);
+            }
+        };
+        
+        /**
+         * The LoRAs that would be applied for the current seed, in apply order (groups first,
+         * then ungrouped), as [{lora, model, clip}]. In solo mode that is just the soloed LoRA.
+         * LoRAs whose files are missing are skipped, as on execution, and their names added
+         * to skipped.
+         */
+        nodeType.prototype.getResolvedStack = function(skipped = []) {
+            const preview = this.getStrengthPreview();
+            const resolved = [];
+            for (const groupPreview of preview.groups) {
+                groupPreview.loras.forEach((lora, i) => {
+                    resolved.push({ lora, model: groupPreview.model[i], clip: groupPreview.clip[i] });
+                });
             }
+            resolved.push(...previewUngroupedStrengths(withSoloEnabled(this.loraState), preview.seed, preview.step));
             
-            // Rebuild UI
-            this.rebuildUI();
-            this.saveState();
+            const soloId = getSoloLora(this.loraState)?.id;
+            const soloStrength = this.loraState.solo_strength;
+            return resolved
+                .filter(r => r.lora.name && r.lora.name !== "None")
+                .filter(r => soloId == null || r.lora.id === soloId)
+                .filter(r => {
+                    if (!this.isLoraMissing(r.lora)) return true;
+                    skipped.push(a1111LoraName(r.lora.name));
+                    return false;
+                })
+                .map(r => soloId != null && soloStrength != null
+                    ? { ...r, model: signedStrength(r.lora, soloStrength), clip: signedStrength(r.lora, soloStrength) }
+                    : r);
         };
         
         /**
-         * Toggle group collapse
+         * Copy the stack as A1111 <lora:…> tags with the strengths resolved for the current seed
          */
-        nodeType.prototype.toggleGroupCollapse = function(groupId) {
-            if (this.collapsedGroups.has(groupId)) {
-                this.collapsedGroups.delete(groupId);
-            } else {
-                this.collapsedGroups.add(groupId);
+        nodeType.prototype.exportA1111Tags = async function() {
+            const skipped = [];
+            const resolved = this.getResolvedStack(skipped);
+            if (!resolved.length) {
+                alert(`The stack has no LoRAs to export.${skippedMissingNote(skipped)}`);
+                return;
             }
             
-            // Rebuild UI to reflect collapse state
-            this.rebuildUI();
+            const tags = resolved.map(r => formatLoraTag(r.lora.name, r.model, r.clip)).join(" ");
+            const lossy = blockTargetedNames(resolved);
+            const note = (lossy.length ? `\n\nA1111 applies these to all blocks:\n${lossy.join("\n")}` : "")
+                + skippedMissingNote(skipped);
+            try {
+                await navigator.clipboard.writeText(tags);
+                alert(`Copied ${resolved.length} LoRA tag(s) for seed ${this.getStrengthPreview().seed}.${note}`);
+            } catch (error) {
+                // Clipboard access needs a secure context; let the user copy by hand instead
+                prompt(`Copy the LoRA tags:${note}`, tags);
+            }
         };
         
         /**
-         * Add a LoRA
+         * Build an equivalent chain of stock LoraLoader nodes with the strengths resolved for
+         * the current seed. Its inputs are wired to whatever feeds this node's MODEL and CLIP.
+         * With replace, this node's MODEL/CLIP consumers are moved to the end of the chain and
+         * the node is removed; otherwise the chain is added below it as a duplicate.
          */
-        nodeType.prototype.addLora = function(groupId) {
-            const loraId = this.nextLoraId++;
+        nodeType.prototype.exportLoraLoaderChain = function(replace) {
+            const graph = this.graph;
+            const skipped = [];
+            const resolved = this.getResolvedStack(skipped);
+            if (!replace && !resolved.length) {
+                alert(`The stack has no LoRAs to export.${skippedMissingNote(skipped)}`);
+                return;
+            }
             
-            const loraData = {
-                id: loraId,
-                group_id: groupId,
-                name: "None",
-                preset: "Full"
-            };
+            const modelInput = this.inputs?.find(i => i.name === "model");
+            const clipInput = this.inputs?.find(i => i.name === "clip");
+            const sources = [modelInput, clipInput].map(input => getGraphLink(graph, input?.link));
             
-            if (groupId === null) {
-                // Ungrouped - add randomization fields
-                loraData.model_strength = 1.0;
-                loraData.clip_strength = 1.0;
-                loraData.random_model = false;
-                loraData.min_model = 0.0;
-                loraData.max_model = 1.0;
-                loraData.random_clip = false;
-                loraData.min_clip = 0.0;
-                loraData.max_clip = 1.0;
-            } else {
-                // Grouped - add lock fields
-                loraData.lock_model = false;
-                loraData.locked_model_value = 0.0;
-                loraData.lock_clip = false;
-                loraData.locked_clip_value = 0.0;
+            // Consumers of MODEL (slot 0) and CLIP (slot 1); the other outputs have no equivalent
+            const targets = [0, 1].map(slot => (this.outputs?.[slot]?.links || [])
+                .map(linkId => getGraphLink(graph, linkId))
+                .filter(Boolean)
+                .map(link => ({ node: graph.getNodeById(link.target_id), slot: link.target_slot }))
+                .filter(t => t.node));
+            const droppedOutputs = (this.outputs || []).slice(2).filter(o => o.links?.length).map(o => o.name);
+            
+            if (replace && droppedOutputs.length && !confirm(
+                `LoraLoader nodes have no ${droppedOutputs.join(", ")} output. Those links will be removed. Continue?`
+            )) {
+                return;
             }
             
-            this.loraState.loras.push(loraData);
-            this.createLoraWidgets(loraId, groupId, loraData);
-            this.saveState();
-            this.setSize(this.computeSize());
+            const origin = replace
+                ? [this.pos[0], this.pos[1]]
+                : [this.pos[0], this.pos[1] + this.size[1] + 60];
+            const loaders = resolved.map((r, i) => {
+                const loader = LiteGraph.createNode("LoraLoader");
+                graph.add(loader);
+                loader.pos = [origin[0] + i * (loader.size[0] + 30), origin[1]];
+                const values = { lora_name: r.lora.name, strength_model: r.model, strength_clip: r.clip };
+                for (const widget of loader.widgets || []) {
+                    if (widget.name in values) widget.value = values[widget.name];
+                }
+                return loader;
+            });
+            
+            // Feed the chain from this node's sources, then link each loader to the next
+            sources.forEach((link, slot) => {
+                if (!link || !loaders.length) return;
+                graph.getNodeById(link.origin_id)?.connect(link.origin_slot, loaders[0], slot);
+            });
+            for (let i = 1; i < loaders.length; i++) {
+                loaders[i - 1].connect(0, loaders[i], 0);
+                loaders[i - 1].connect(1, loaders[i], 1);
+            }
+            
+            if (replace) {
+                // The chain's last loader takes over this node's consumers; an empty stack passes straight through
+                const last = loaders[loaders.length - 1];
+                targets.forEach((slotTargets, slot) => {
+                    for (const target of slotTargets) {
+                        if (last) {
+                            last.connect(slot, target.node, target.slot);
+                        } else if (sources[slot]) {
+                            graph.getNodeById(sources[slot].origin_id)?.connect(sources[slot].origin_slot, target.node, target.slot);
+                        }
+                    }
+                });
+                graph.remove(this);
+            }
+            
+            graph.setDirtyCanvas(true, true);
+            console.log(`[LoRA Stacker] Exported ${loaders.length} LoraLoader node(s)${replace ? ", replacing the stacker" : ""}`);
+            
+            const lossy = blockTargetedNames(resolved);
+            const note = (lossy.length ? `LoraLoader applies these to all blocks:\n${lossy.join("\n")}` : "")
+                + skippedMissingNote(skipped);
+            if (note) {
+                alert(note.trim());
+            }
         };
         
         /**
-         * Create widgets for a LoRA (appends to end before action buttons)
+         * Download the stack state as a JSON file
          */
-        nodeType.prototype.createLoraWidgets = function(loraId, groupId, loraData) {
-            const prefix = groupId ? "    " : "";
+        nodeType.prototype.exportStackFile = function() {
+            const blob = new Blob([JSON.stringify(this.loraState, null, 2)], { type: "application/json" });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `lora_stack_${this.id}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        };
+        
+        /**
+         * Add stack preset actions to the node's context menu
+         */
+        const getExtraMenuOptions = nodeType.prototype.getExtraMenuOptions;
+        nodeType.prototype.getExtraMenuOptions = function(_, options) {
+            const r = getExtraMenuOptions ? getExtraMenuOptions.apply(this, arguments) : undefined;
             
-            // LoRA selector
-            const loraWidget = this.addWidget("combo", 
-                `${prefix}LoRA`, 
-                loraData.name,
-                (v) => {
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.name = v;
-                        this.saveState();
+            // Refresh in the background so the next menu picks up presets saved by others
+            fetchStackPresetList();
+            fetchBlockPresets();
+            
+            const hasPresets = stackPresetNames.length > 0;
+            const solo = getSoloLora(this.loraState);
+            const soloStrength = this.loraState.solo_strength;
+            const blockPresetNames = Object.keys(blockPresets);
+            const missingCount = this.loraState.loras.filter(l => this.isLoraMissing(l)).length;
+            const historyCounts = this.getHistoryCounts();
+            const exportActions = {
+                "Copy A1111 tags": () => this.exportA1111Tags(),
+                "Replace with LoraLoader chain": () => this.exportLoraLoaderChain(true),
+                "Duplicate as LoraLoader chain": () => this.exportLoraLoaderChain(false),
+                "Save stack JSON file": () => this.exportStackFile()
+            };
+            options.push(
+                null,
+                {
+                    content: "💾 Save stack as…",
+                    callback: () => this.saveStackPreset()
+                },
+                {
+                    content: "📂 Load stack…",
+                    disabled: !hasPresets,
+                    has_submenu: true,
+                    submenu: {
+                        options: stackPresetNames,
+                        callback: (name) => this.loadStackPreset(name)
                     }
                 },
-                { values: availableLoRAs }
-            );
-            loraWidget._loraId = loraId;
-            loraWidget._groupId = groupId;
-            this.moveWidgetBeforeActionButtons(loraWidget);
-            
-            // Remove button
-            const removeBtn = this.addWidget("button", "✕", null,
-                () => this.removeLora(loraId)
-            );
-            removeBtn._loraId = loraId;
-            removeBtn._groupId = groupId;
-            this.moveWidgetBeforeActionButtons(removeBtn);
-            
-            // Preset selector
-            const presetWidget = this.addWidget("combo",
-                `${prefix}Type`,
-                loraData.preset,
-                (v) => {
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.preset = v;
-                        this.saveState();
+                {
+                    content: "🗑 Delete preset",
+                    disabled: !hasPresets,
+                    has_submenu: true,
+                    submenu: {
+                        options: stackPresetNames,
+                        callback: (name) => this.deleteStackPreset(name)
+                    }
+                },
+                {
+                    content: "🗑 Delete block preset",
+                    disabled: !blockPresetNames.length,
+                    has_submenu: true,
+                    submenu: {
+                        options: blockPresetNames,
+                        callback: (name) => this.deleteBlockPreset(name)
+                    }
+                },
+                null,
+                {
+                    content: `🏷 Trigger word order (${TRIGGER_WORD_ORDERS[this.loraState.trigger_order] ?? TRIGGER_WORD_ORDERS.stack})`,
+                    has_submenu: true,
+                    submenu: {
+                        options: Object.values(TRIGGER_WORD_ORDERS),
+                        callback: (label) => {
+                            const order = Object.keys(TRIGGER_WORD_ORDERS).find(k => TRIGGER_WORD_ORDERS[k] === label);
+                            if (order) {
+                                this.loraState.trigger_order = order;
+                                this.saveState();
+                            }
+                        }
+                    }
+                },
+                {
+                    content: "🏷 Trigger word delimiter…",
+                    callback: () => this.editTriggerDelimiter()
+                },
+                null,
+                {
+                    content: `🎧 Solo strength (${soloStrength == null ? "resolved" : soloStrength})…`,
+                    callback: () => this.editSoloStrength()
+                },
+                {
+                    content: "🎧 Clear solo",
+                    disabled: !solo,
+                    callback: () => this.setSoloLora(null)
+                },
+                null,
+                {
+                    content: "▶ Collapse all groups",
+                    disabled: !this.loraState.groups.some(g => !g.collapsed),
+                    callback: () => this.setAllGroupsCollapsed(true)
+                },
+                {
+                    content: "▼ Expand all groups",
+                    disabled: !this.loraState.groups.some(g => g.collapsed),
+                    callback: () => this.setAllGroupsCollapsed(false)
+                },
+                null,
+                {
+                    content: `↶ Undo (${historyCounts.undo})`,
+                    disabled: !historyCounts.undo,
+                    callback: () => this.undoState()
+                },
+                {
+                    content: `↷ Redo (${historyCounts.redo})`,
+                    disabled: !historyCounts.redo,
+                    callback: () => this.redoState()
+                },
+                null,
+                {
+                    content: "🔄 Refresh LoRA list",
+                    callback: () => refreshLoraList()
+                },
+                {
+                    content: `🩹 Use closest matches for missing LoRAs (${missingCount})`,
+                    disabled: !missingCount,
+                    callback: () => this.replaceMissingLoras()
+                },
+                null,
+                {
+                    content: "📥 Import from prompt…",
+                    callback: () => this.importFromPrompt()
+                },
+                {
+                    content: "📤 Export",
+                    has_submenu: true,
+                    submenu: {
+                        options: Object.keys(exportActions),
+                        callback: (label) => exportActions[label]?.()
                     }
                 },
-                { values: ["Full", "Character", "Style", "Concept", "Fix Hands"] }
+                {
+                    content: "🛟 Recover stack…",
+                    callback: () => this.showRecoveryPanel()
+                },
+                {
+                    content: "📄 Show last stack report",
+                    disabled: !this.lastStackReport,
+                    callback: () => this.showStackReport()
+                }
             );
-            presetWidget._loraId = loraId;
-            presetWidget._groupId = groupId;
-            this.moveWidgetBeforeActionButtons(presetWidget);
             
-            if (groupId !== null) {
-                // Grouped LoRA - lock controls
-                this.createGroupedLoraControls(loraId, groupId, loraData);
-            } else {
-                // Ungrouped LoRA - full controls
-                this.createUngroupedLoraControls(loraId, loraData);
+            return r;
+        };
+        
+        /**
+         * Prompt for the delimiter between trigger words. A typed \n stands for a newline.
+         */
+        nodeType.prototype.editTriggerDelimiter = function() {
+            const current = (this.loraState.trigger_delimiter ?? ", ").replace(/\n/g, "\\n");
+            const value = prompt("Delimiter between trigger words (\\n for a new line):", current);
+            if (value === null) return;
+            
+            this.loraState.trigger_delimiter = value.replace(/\\n/g, "\n");
+            this.saveState();
+        };
+        
+        /**
+         * The step strength schedules are at: the seed, or the step_index input when it is
+         * connected. An input's value is only known after a run, so it is the last run's step
+         * (null before the first run).
+         */
+        nodeType.prototype.getScheduleStep = function(seed) {
+            const linked = this.inputs?.find(i => i.name === "step_index")?.link != null;
+            if (!linked) return { step: seed, source: "seed" };
+            const last = this.lastScheduleStep?.source === "input" ? this.lastScheduleStep.step : null;
+            return { step: last, source: "input" };
+        };
+        
+        /**
+         * Group strength previews for the current seed, cached until the state or seed changes
+         */
+        nodeType.prototype.getStrengthPreview = function() {
+            const seed = Math.trunc(this.widgets.find(w => w.name === "seed")?.value ?? 0);
+            const { step, source } = this.getScheduleStep(seed);
+            const key = `${seed}|${source}:${step}|${JSON.stringify(this.loraState)}`;
+            if (this._previewCache?.key !== key) {
+                this._previewCache = {
+                    key,
+                    seed,
+                    step: step ?? 0,
+                    stepSource: step === null ? null : source,
+                    groups: previewGroupStrengths(withSoloEnabled(this.loraState), seed),
+                    ungrouped: previewUngroupedStrengths(withSoloEnabled(this.loraState), seed, step ?? 0)
+                        .filter(p => p.lora.random_model || p.lora.random_clip || p.lora.schedule_model || p.lora.schedule_clip)
+                };
             }
+            return this._previewCache;
         };
         
         /**
-         * Create controls for grouped LoRA (lock controls)
+         * Height of the strength preview panel drawn below the widgets
          */
-        nodeType.prototype.createGroupedLoraControls = function(loraId, groupId, loraData) {
-            // MODEL lock checkbox
-            const lockModelResult = ComfyWidgets.BOOLEAN(this, "lock_model_temp", ["BOOLEAN", { default: loraData.lock_model }], app);
-            const lockModelWidget = lockModelResult.widget;
-            lockModelWidget.name = "    🔒 MODEL";
-            lockModelWidget.value = loraData.lock_model;
-            const origLockModelCallback = lockModelWidget.callback;
-            lockModelWidget.callback = (v) => {
-                if (origLockModelCallback) origLockModelCallback.call(lockModelWidget, v);
-                const lora = this.loraState.loras.find(l => l.id === loraId);
-                if (lora) {
-                    lora.lock_model = v;
-                    this.rebuildUI();
-                    this.saveState();
-                }
-            };
-            lockModelWidget._loraId = loraId;
-            lockModelWidget._groupId = groupId;
-            this.moveWidgetBeforeActionButtons(lockModelWidget);
+        nodeType.prototype.getPreviewHeight = function() {
+            if (!this.loraState) return 0;
+            const { groups, ungrouped } = this.getStrengthPreview();
+            if (!groups.length && !ungrouped.length) return 0;
+            return PREVIEW_HEADER_HEIGHT + groups.length * PREVIEW_GROUP_HEIGHT
+                + ungrouped.length * PREVIEW_ROW_HEIGHT + 8;
+        };
+        
+        /**
+         * Draw one stacked bar of resolved strengths
+         */
+        nodeType.prototype.drawStrengthBar = function(ctx, x, y, width, label, values, budget, loras, lockKey) {
+            ctx.fillStyle = "#888";
+            ctx.font = "10px sans-serif";
+            ctx.textAlign = "left";
+            ctx.textBaseline = "middle";
+            ctx.fillText(label, x, y + PREVIEW_BAR_HEIGHT / 2);
             
-            // Locked MODEL value (only show if locked)
-            if (loraData.lock_model) {
-                const lockedModelValueResult = ComfyWidgets.FLOAT(this, "locked_model_value_temp", ["FLOAT", { 
-                    default: loraData.locked_model_value, 
-                    min: 0.0, 
-                    max: 10.0, 
-                    step: 0.01 
-                }], app);
-                const lockedModelValueWidget = lockedModelValueResult.widget;
-                lockedModelValueWidget.name = "      Value";
-                lockedModelValueWidget.value = loraData.locked_model_value;
-                const origLockedModelCallback = lockedModelValueWidget.callback;
-                lockedModelValueWidget.callback = (v) => {
-                    if (origLockedModelCallback) origLockedModelCallback.call(lockedModelValueWidget, v);
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.locked_model_value = v;
-                        this.saveState();
+            const barX = x + 14;
+            const barWidth = width - 14;
+            // Segment widths are magnitudes; subtractive segments get a red underline
+            const sum = values.reduce((a, b) => a + Math.abs(b), 0);
+            const scale = Math.max(Math.abs(budget), sum, 0.0001);
+            
+            ctx.fillStyle = "#111";
+            ctx.fillRect(barX, y, barWidth, PREVIEW_BAR_HEIGHT);
+            
+            let segX = barX;
+            values.forEach((value, i) => {
+                const segWidth = Math.abs(value) / scale * barWidth;
+                if (segWidth <= 0) return;
+                
+                const color = PREVIEW_COLORS[i % PREVIEW_COLORS.length];
+                ctx.fillStyle = color;
+                ctx.fillRect(segX, y, segWidth, PREVIEW_BAR_HEIGHT);
+                if (value < 0) {
+                    ctx.fillStyle = "#c00";
+                    ctx.fillRect(segX, y + PREVIEW_BAR_HEIGHT - 3, segWidth, 3);
+                }
+                
+                // Locked segments are hatched and outlined so they stand out from random ones
+                if (loras[i][lockKey]) {
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.rect(segX, y, segWidth, PREVIEW_BAR_HEIGHT);
+                    ctx.clip();
+                    ctx.strokeStyle = "rgba(0, 0, 0, 0.45)";
+                    ctx.lineWidth = 2;
+                    for (let hx = segX - PREVIEW_BAR_HEIGHT; hx < segX + segWidth; hx += 6) {
+                        ctx.beginPath();
+                        ctx.moveTo(hx, y + PREVIEW_BAR_HEIGHT);
+                        ctx.lineTo(hx + PREVIEW_BAR_HEIGHT, y);
+                        ctx.stroke();
                     }
-                };
-                lockedModelValueWidget._loraId = loraId;
-                lockedModelValueWidget._groupId = groupId;
-                this.moveWidgetBeforeActionButtons(lockedModelValueWidget);
+                    ctx.restore();
+                    ctx.strokeStyle = "#fff";
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(segX + 0.5, y + 0.5, segWidth - 1, PREVIEW_BAR_HEIGHT - 1);
+                }
+                
+                const name = (loras[i].name || "None").split(/[\\/]/).pop().replace(/\.[^.]+$/, "");
+                const text = segWidth > 90 ? `${name} ${value.toFixed(2)}` : value.toFixed(2);
+                if (segWidth > 30) {
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.rect(segX, y, segWidth, PREVIEW_BAR_HEIGHT);
+                    ctx.clip();
+                    ctx.fillStyle = "#000";
+                    ctx.fillText(`${loras[i][lockKey] ? "🔒" : ""}${text}`, segX + 3, y + PREVIEW_BAR_HEIGHT / 2);
+                    ctx.restore();
+                }
+                
+                segX += segWidth;
+            });
+        };
+        
+        /**
+         * Remember the per-LoRA key coverage apply_loras reports, for the row badges,
+         * and the stack report of what was applied
+         */
+        const onExecuted = nodeType.prototype.onExecuted;
+        nodeType.prototype.onExecuted = function(message) {
+            const r = onExecuted ? onExecuted.apply(this, arguments) : undefined;
+            if (Array.isArray(message?.lora_coverage)) {
+                this.loraCoverage = new Map(message.lora_coverage.map(c => [c.id, c]));
+                this.setDirtyCanvas(true, false);
+            }
+            if (message?.stack_report?.[0]) {
+                this.lastStackReport = message.stack_report[0];
+            }
+            if (message?.schedule_step?.[0]) {
+                this.lastScheduleStep = message.schedule_step[0];
+            }
+            if (Array.isArray(message?.missing_loras)) {
+                this.lastMissingLoras = new Map(message.missing_loras.map(m => [m.id, m.name]));
+                this.setDirtyCanvas(true, false);
+            }
+            return r;
+        };
+        
+        /**
+         * Show the stack report from the last execution in a dialog
+         */
+        nodeType.prototype.showStackReport = function() {
+            if (!this.lastStackReport) return;
+            
+            const pre = document.createElement("pre");
+            pre.textContent = JSON.stringify(this.lastStackReport, null, 2);
+            Object.assign(pre.style, {
+                maxHeight: "70vh",
+                maxWidth: "80vw",
+                overflow: "auto",
+                textAlign: "left",
+                fontSize: "12px",
+                margin: "0"
+            });
+            app.ui.dialog.show(pre);
+        };
+        
+        /**
+         * Key coverage of a LoRA from the last execution, or null if it has not run since
+         * its file was changed
+         */
+        nodeType.prototype.getLoraCoverage = function(loraId) {
+            const coverage = this.loraCoverage?.get(loraId);
+            const lora = this.loraState.loras.find(l => l.id === loraId);
+            return coverage && lora && coverage.name === lora.name ? coverage : null;
+        };
+        
+        /**
+         * Whether a LoRA's file is missing: not in the LoRA list, or not found on the last run
+         */
+        nodeType.prototype.isLoraMissing = function(lora) {
+            return isLoraNameMissing(lora.name) || this.lastMissingLoras?.get(lora.id) === lora.name;
+        };
+        
+        /**
+         * Point every missing LoRA that has a close match at that match, after confirming
+         */
+        nodeType.prototype.replaceMissingLoras = function() {
+            const replacements = this.loraState.loras
+                .filter(l => this.isLoraMissing(l))
+                .map(l => ({ lora: l, name: suggestLoraReplacement(l.name) }))
+                .filter(r => r.name);
+            if (!replacements.length) {
+                alert("No close matches found for the missing LoRAs.");
+                return;
             }
             
-            // CLIP lock checkbox
-            const lockClipResult = ComfyWidgets.BOOLEAN(this, "lock_clip_temp", ["BOOLEAN", { default: loraData.lock_clip }], app);
-            const lockClipWidget = lockClipResult.widget;
-            lockClipWidget.name = "    🔒 CLIP";
-            lockClipWidget.value = loraData.lock_clip;
-            const origLockClipCallback = lockClipWidget.callback;
-            lockClipWidget.callback = (v) => {
-                if (origLockClipCallback) origLockClipCallback.call(lockClipWidget, v);
-                const lora = this.loraState.loras.find(l => l.id === loraId);
-                if (lora) {
-                    lora.lock_clip = v;
-                    this.rebuildUI();
-                    this.saveState();
-                }
-            };
-            lockClipWidget._loraId = loraId;
-            lockClipWidget._groupId = groupId;
-            this.moveWidgetBeforeActionButtons(lockClipWidget);
+            const summary = replacements.map(r => `${r.lora.name} → ${r.name}`).join("\n");
+            if (!confirm(`Replace ${replacements.length} missing LoRA(s)?\n\n${summary}`)) return;
             
-            // Locked CLIP value (only show if locked)
-            if (loraData.lock_clip) {
-                const lockedClipValueResult = ComfyWidgets.FLOAT(this, "locked_clip_value_temp", ["FLOAT", { 
-                    default: loraData.locked_clip_value, 
-                    min: 0.0, 
-                    max: 10.0, 
-                    step: 0.01 
-                }], app);
-                const lockedClipValueWidget = lockedClipValueResult.widget;
-                lockedClipValueWidget.name = "      Value";
-                lockedClipValueWidget.value = loraData.locked_clip_value;
-                const origLockedClipCallback = lockedClipValueWidget.callback;
-                lockedClipValueWidget.callback = (v) => {
-                    if (origLockedClipCallback) origLockedClipCallback.call(lockedClipValueWidget, v);
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.locked_clip_value = v;
-                        this.saveState();
-                    }
-                };
-                lockedClipValueWidget._loraId = loraId;
-                lockedClipValueWidget._groupId = groupId;
-                this.moveWidgetBeforeActionButtons(lockedClipValueWidget);
+            for (const { lora, name } of replacements) {
+                lora.name = name;
             }
+            this.rebuildUI();
+            this.saveState();
         };
         
         /**
-         * Create controls for ungrouped LoRA (full controls)
+         * Lines of text the metadata panel shows for a LoRA, as [text, color] pairs
          */
-        nodeType.prototype.createUngroupedLoraControls = function(loraId, loraData) {
-            // MODEL strength
-            const modelStrResult = ComfyWidgets.FLOAT(this, "model_strength_temp", ["FLOAT", { 
-                default: loraData.model_strength, 
-                min: 0.0, 
-                max: 10.0, 
-                step: 0.01 
-            }], app);
-            const modelStrWidget = modelStrResult.widget;
-            modelStrWidget.name = "MODEL Str";
-            modelStrWidget.value = loraData.model_strength;
-            const origModelStrCallback = modelStrWidget.callback;
-            modelStrWidget.callback = (v) => {
-                if (origModelStrCallback) origModelStrCallback.call(modelStrWidget, v);
-                const lora = this.loraState.loras.find(l => l.id === loraId);
-                if (lora) {
-                    lora.model_strength = v;
-                    this.saveState();
-                }
-            };
-            modelStrWidget._loraId = loraId;
-            this.moveWidgetBeforeActionButtons(modelStrWidget);
+        nodeType.prototype.getLoraInfoLines = function(lora) {
+            const entry = fetchLoraMetadata(lora.name, () => this.setDirtyCanvas(true, false));
+            if (!entry) return [["No LoRA selected", "#888"]];
+            if (entry.status === "loading") return [["Reading metadata…", "#888"]];
+            if (entry.status === "error") return [[entry.error, "#f88"]];
             
-            // Random MODEL toggle
-            const randomModelResult = ComfyWidgets.BOOLEAN(this, "random_model_temp", ["BOOLEAN", { default: loraData.random_model }], app);
-            const randomModelWidget = randomModelResult.widget;
-            randomModelWidget.name = "  🎲 Random";
-            randomModelWidget.value = loraData.random_model;
-            const origRandomModelCallback = randomModelWidget.callback;
-            randomModelWidget.callback = (v) => {
-                if (origRandomModelCallback) origRandomModelCallback.call(randomModelWidget, v);
-                const lora = this.loraState.loras.find(l => l.id === loraId);
-                if (lora) {
-                    lora.random_model = v;
-                    this.rebuildUI();
-                    this.saveState();
-                }
+            const info = entry.data;
+            const lines = [];
+            const add = (label, value) => {
+                if (value !== null && value !== undefined && value !== "") lines.push([`${label}: ${value}`, "#ccc"]);
             };
-            randomModelWidget._loraId = loraId;
-            this.moveWidgetBeforeActionButtons(randomModelWidget);
+            add("Base model", info.base_model);
+            add("Trained on", info.trained_on);
+            add("Network", [
+                info.network_module,
+                info.network_dim != null ? `dim ${info.network_dim}` : null,
+                info.network_alpha != null ? `alpha ${info.network_alpha}` : null
+            ].filter(Boolean).join(" · "));
+            add("Resolution", info.resolution ? info.resolution.join("×") : null);
+            add("Training", [
+                info.epochs != null ? `${info.epochs} epochs` : null,
+                info.train_images != null ? `${info.train_images} images` : null,
+                info.steps != null ? `${info.steps} steps` : null,
+                info.learning_rate != null ? `lr ${info.learning_rate}` : null
+            ].filter(Boolean).join(" · "));
+            add("Comment", info.comment);
             
-            // Min/Max MODEL (only show if random)
-            if (loraData.random_model) {
-                const minModelResult = ComfyWidgets.FLOAT(this, "min_model_temp", ["FLOAT", { 
-                    default: loraData.min_model, 
-                    min: 0.0, 
-                    max: 10.0, 
-                    step: 0.01 
-                }], app);
-                const minModelWidget = minModelResult.widget;
-                minModelWidget.name = "    Min";
-                minModelWidget.value = loraData.min_model;
-                const origMinModelCallback = minModelWidget.callback;
-                minModelWidget.callback = (v) => {
-                    if (origMinModelCallback) origMinModelCallback.call(minModelWidget, v);
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.min_model = v;
-                        this.saveState();
-                    }
-                };
-                minModelWidget._loraId = loraId;
-                this.moveWidgetBeforeActionButtons(minModelWidget);
-                
-                const maxModelResult = ComfyWidgets.FLOAT(this, "max_model_temp", ["FLOAT", { 
-                    default: loraData.max_model, 
-                    min: 0.0, 
-                    max: 10.0, 
-                    step: 0.01 
-                }], app);
-                const maxModelWidget = maxModelResult.widget;
-                maxModelWidget.name = "    Max";
-                maxModelWidget.value = loraData.max_model;
-                const origMaxModelCallback = maxModelWidget.callback;
-                maxModelWidget.callback = (v) => {
-                    if (origMaxModelCallback) origMaxModelCallback.call(maxModelWidget, v);
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.max_model = v;
-                        this.saveState();
-                    }
-                };
-                maxModelWidget._loraId = loraId;
-                this.moveWidgetBeforeActionButtons(maxModelWidget);
+            if (lora.trigger_words) {
+                add("Trigger words", `${lora.trigger_words} (override)`);
+            } else {
+                add("Trigger words", info.trigger_words?.join(", "));
             }
             
-            // CLIP strength
-            const clipStrResult = ComfyWidgets.FLOAT(this, "clip_strength_temp", ["FLOAT", { 
-                default: loraData.clip_strength, 
-                min: 0.0, 
-                max: 10.0, 
-                step: 0.01 
-            }], app);
-            const clipStrWidget = clipStrResult.widget;
-            clipStrWidget.name = "CLIP Str";
-            clipStrWidget.value = loraData.clip_strength;
-            const origClipStrCallback = clipStrWidget.callback;
-            clipStrWidget.callback = (v) => {
-                if (origClipStrCallback) origClipStrCallback.call(clipStrWidget, v);
-                const lora = this.loraState.loras.find(l => l.id === loraId);
-                if (lora) {
-                    lora.clip_strength = v;
-                    this.saveState();
-                }
-            };
-            clipStrWidget._loraId = loraId;
-            this.moveWidgetBeforeActionButtons(clipStrWidget);
+            if (info.top_tags?.length) {
+                lines.push(["Top tags:", "#aaa"]);
+                lines.push([info.top_tags.map(t => `${t.tag} (${t.count})`).join(", "), "#ffd966"]);
+            }
+            if (!lines.length) lines.push(["No training metadata in this file", "#888"]);
             
-            // Random CLIP toggle
-            const randomClipResult = ComfyWidgets.BOOLEAN(this, "random_clip_temp", ["BOOLEAN", { default: loraData.random_clip }], app);
-            const randomClipWidget = randomClipResult.widget;
-            randomClipWidget.name = "  🎲 Random";
-            randomClipWidget.value = loraData.random_clip;
-            const origRandomClipCallback = randomClipWidget.callback;
-            randomClipWidget.callback = (v) => {
-                if (origRandomClipCallback) origRandomClipCallback.call(randomClipWidget, v);
-                const lora = this.loraState.loras.find(l => l.id === loraId);
-                if (lora) {
-                    lora.random_clip = v;
-                    this.rebuildUI();
-                    this.saveState();
-                }
-            };
-            randomClipWidget._loraId = loraId;
-            this.moveWidgetBeforeActionButtons(randomClipWidget);
+            const coverage = this.getLoraCoverage(lora.id);
+            if (coverage) {
+                lines.push([
+                    `Last run: ${coverage.matched}/${coverage.modules} modules matched (MODEL ${coverage.model}, CLIP ${coverage.clip})`,
+                    { none: "#f66", low: "#fa4" }[coverage.status] ?? "#8c8"
+                ]);
+            }
+            return lines;
+        };
+        
+        /**
+         * Draw the metadata panel for a LoRA to the right of the node, level with its row
+         */
+        nodeType.prototype.drawLoraInfoPanel = function(ctx, loraId) {
+            const lora = this.loraState.loras.find(l => l.id === loraId);
+            const row = this.getRowExtents().loraRows.get(loraId);
+            if (!lora || !row) return;
             
-            // Min/Max CLIP (only show if random)
-            if (loraData.random_clip) {
-                const minClipResult = ComfyWidgets.FLOAT(this, "min_clip_temp", ["FLOAT", { 
-                    default: loraData.min_clip, 
-                    min: 0.0, 
-                    max: 10.0, 
-                    step: 0.01 
-                }], app);
-                const minClipWidget = minClipResult.widget;
-                minClipWidget.name = "    Min";
-                minClipWidget.value = loraData.min_clip;
-                const origMinClipCallback = minClipWidget.callback;
-                minClipWidget.callback = (v) => {
-                    if (origMinClipCallback) origMinClipCallback.call(minClipWidget, v);
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.min_clip = v;
-                        this.saveState();
-                    }
-                };
-                minClipWidget._loraId = loraId;
-                this.moveWidgetBeforeActionButtons(minClipWidget);
-                
-                const maxClipResult = ComfyWidgets.FLOAT(this, "max_clip_temp", ["FLOAT", { 
-                    default: loraData.max_clip, 
-                    min: 0.0, 
-                    max: 10.0, 
-                    step: 0.01 
-                }], app);
-                const maxClipWidget = maxClipResult.widget;
-                maxClipWidget.name = "    Max";
-                maxClipWidget.value = loraData.max_clip;
-                const origMaxClipCallback = maxClipWidget.callback;
-                maxClipWidget.callback = (v) => {
-                    if (origMaxClipCallback) origMaxClipCallback.call(maxClipWidget, v);
-                    const lora = this.loraState.loras.find(l => l.id === loraId);
-                    if (lora) {
-                        lora.max_clip = v;
-                        this.saveState();
+            const panelWidth = 300;
+            const padding = 8;
+            const lineHeight = 14;
+            ctx.save();
+            ctx.font = "11px sans-serif";
+            
+            // Word-wrap every line to the panel width
+            const wrapped = [];
+            for (const [text, color] of this.getLoraInfoLines(lora)) {
+                let line = "";
+                for (const word of String(text).split(" ")) {
+                    const candidate = line ? `${line} ${word}` : word;
+                    if (line && ctx.measureText(candidate).width > panelWidth - padding * 2) {
+                        wrapped.push([line, color]);
+                        line = word;
+                    } else {
+                        line = candidate;
                     }
-                };
-                maxClipWidget._loraId = loraId;
-                this.moveWidgetBeforeActionButtons(maxClipWidget);
+                }
+                wrapped.push([line, color]);
             }
+            
+            const title = (lora.name || "None").split(/[\\/]/).pop();
+            const x = this.size[0] + 10;
+            const y = row.top;
+            const height = padding * 2 + lineHeight * (wrapped.length + 1) + 4;
+            
+            ctx.fillStyle = "rgba(20, 20, 28, 0.95)";
+            ctx.strokeStyle = "#3a5a7a";
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.roundRect(x, y, panelWidth, height, 6);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.textAlign = "left";
+            ctx.textBaseline = "middle";
+            ctx.fillStyle = "#fff";
+            ctx.font = "bold 11px sans-serif";
+            ctx.fillText(title, x + padding, y + padding + lineHeight / 2);
+            ctx.font = "11px sans-serif";
+            wrapped.forEach(([text, color], i) => {
+                ctx.fillStyle = color;
+                ctx.fillText(text, x + padding, y + padding + lineHeight * (i + 1.5) + 4);
+            });
+            ctx.restore();
         };
         
         /**
-         * Remove a LoRA
+         * Track which LoRA row the pointer is over, for the metadata panel
          */
-        nodeType.prototype.removeLora = function(loraId) {
-            const loraIdx = this.loraState.loras.findIndex(l => l.id === loraId);
-            if (loraIdx < 0) return;
+        const onMouseMove = nodeType.prototype.onMouseMove;
+        nodeType.prototype.onMouseMove = function(event, pos) {
+            const r = onMouseMove ? onMouseMove.apply(this, arguments) : undefined;
+            const hoverLoraId = pos[0] >= 0 && pos[0] <= this.size[0] ? this.getLoraAt(pos[1]) : null;
+            if (hoverLoraId !== this._hoverLoraId) {
+                this._hoverLoraId = hoverLoraId;
+                this.setDirtyCanvas(true, false);
+            }
+            return r;
+        };
+        
+        const onMouseLeave = nodeType.prototype.onMouseLeave;
+        nodeType.prototype.onMouseLeave = function() {
+            const r = onMouseLeave ? onMouseLeave.apply(this, arguments) : undefined;
+            if (this._hoverLoraId) {
+                this._hoverLoraId = null;
+                this.setDirtyCanvas(true, false);
+            }
+            return r;
+        };
+        
+        /**
+         * Flag solo mode in the title, so a workflow isn't shared with it left on
+         */
+        const getTitle = nodeType.prototype.getTitle;
+        nodeType.prototype.getTitle = function() {
+            const title = getTitle ? getTitle.apply(this, arguments) : this.title;
+            const solo = this.loraState && getSoloLora(this.loraState);
+            if (!solo) return title;
+            return `${title} [SOLO: ${(solo.name || "None").split(/[\\/]/).pop()}]`;
+        };
+        
+        /**
+         * Draw the per-group strength preview for the current seed below the widgets
+         */
+        const onDrawForeground = nodeType.prototype.onDrawForeground;
+        nodeType.prototype.onDrawForeground = function(ctx) {
+            const r = onDrawForeground ? onDrawForeground.apply(this, arguments) : undefined;
+            if (this.flags?.collapsed || !this.loraState) return r;
             
-            this.loraState.loras.splice(loraIdx, 1);
-            this.rebuildUI();
-            this.saveState();
+            // Insertion line while a LoRA is being dragged
+            if (this._drag) {
+                const target = this.getLoraDropTarget(this._drag.y);
+                if (target) {
+                    ctx.save();
+                    ctx.strokeStyle = "#ffd966";
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.moveTo(target.groupId ? 30 : 15, target.lineY);
+                    ctx.lineTo(this.size[0] - 15, target.lineY);
+                    ctx.stroke();
+                    ctx.restore();
+                }
+            }
+            
+            // Dim disabled groups and LoRAs, or everything but the soloed LoRA.
+            // Drawn over the widgets, so they stay editable.
+            const { loraRows, groupRows } = this.getRowExtents();
+            const solo = getSoloLora(this.loraState);
+            const dimGroups = this.loraState.groups.filter(g => solo ? g.id !== solo.group_id : g.enabled === false);
+            const dimGroupIds = new Set(dimGroups.map(g => g.id));
+            const dimRows = [
+                ...dimGroups.map(g => groupRows.get(g.id)),
+                ...this.loraState.loras
+                    .filter(l => !dimGroupIds.has(l.group_id) && (solo ? l.id !== solo.id : l.enabled === false))
+                    .map(l => loraRows.get(l.id))
+            ];
+            ctx.save();
+            ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
+            for (const row of dimRows) {
+                if (row) ctx.fillRect(10, row.top, this.size[0] - 20, row.bottom - row.top);
+            }
+            ctx.restore();
+            
+            // Metadata panel for the pinned LoRA, or the hovered one while nothing is being dragged
+            const infoLoraId = this._infoLoraId ?? (this._drag ? null : this._hoverLoraId);
+            if (infoLoraId) this.drawLoraInfoPanel(ctx, infoLoraId);
+            
+            const height = this.getPreviewHeight();
+            if (!height) return r;
+            
+            const preview = this.getStrengthPreview();
+            const x = 15;
+            const width = this.size[0] - 30;
+            let y = this.size[1] - height;
+            
+            ctx.save();
+            ctx.fillStyle = "#1a2a3a";
+            ctx.strokeStyle = "#3a5a7a";
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.roundRect(x - 5, y, width + 10, height - 4, 6);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.fillStyle = "#aaa";
+            ctx.font = "11px sans-serif";
+            ctx.textAlign = "left";
+            ctx.textBaseline = "middle";
+            ctx.fillText(`Strength preview · seed ${preview.seed}`, x, y + PREVIEW_HEADER_HEIGHT / 2 + 2);
+            y += PREVIEW_HEADER_HEIGHT;
+            
+            for (const groupPreview of preview.groups) {
+                const overflow = [groupPreview.lockOverflow.model && "MODEL", groupPreview.lockOverflow.clip && "CLIP"].filter(Boolean);
+                ctx.fillStyle = overflow.length ? "#fa4" : "#ccc";
+                ctx.font = "10px sans-serif";
+                ctx.fillText(`Group ${groupPreview.group.index}${overflow.length
+                    ? ` ⚠ ${overflow.join(" and ")} locks exceed the budget, scaled to fit` : ""}`, x, y + 6);
+                y += 14;
+                
+                this.drawStrengthBar(ctx, x, y, width, "M", groupPreview.model, groupPreview.maxModel, groupPreview.loras, "lock_model");
+                y += PREVIEW_BAR_HEIGHT + 3;
+                this.drawStrengthBar(ctx, x, y, width, "C", groupPreview.clip, groupPreview.maxClip, groupPreview.loras, "lock_clip");
+                y += PREVIEW_BAR_HEIGHT + 7;
+            }
+            
+            // Randomized and scheduled ungrouped LoRAs get one text row each
+            ctx.font = "10px sans-serif";
+            for (const { lora, model, clip } of preview.ungrouped) {
+                const name = (lora.name || "None").split(/[\\/]/).pop().replace(/\.[^.]+$/, "");
+                let label = `🎲 ${name}`;
+                if (lora.schedule_model || lora.schedule_clip) {
+                    const steps = Math.max(2, Math.trunc(lora.schedule_steps ?? 10));
+                    label = preview.stepSource === null
+                        ? `📈 ${name} · step from input (not run yet)`
+                        : `📈 ${name} · step ${(((preview.step % steps) + steps) % steps) + 1}/${steps}`
+                            + (preview.stepSource === "input" ? " (last run)" : "");
+                }
+                ctx.fillStyle = "#ccc";
+                ctx.textAlign = "left";
+                ctx.fillText(label, x, y + PREVIEW_ROW_HEIGHT / 2);
+                ctx.fillStyle = "#aaa";
+                ctx.textAlign = "right";
+                ctx.fillText(`M ${model.toFixed(4)}  C ${clip.toFixed(4)}`, x + width, y + PREVIEW_ROW_HEIGHT / 2);
+                y += PREVIEW_ROW_HEIGHT;
+            }
+            
+            ctx.restore();
+            return r;
         };
         
         /**
@@ -826,6 +4385,8 @@ app.registerExtension({
                 }
             }
             
+            height += this.getPreviewHeight();
+            
             const size = [width, Math.max(140, height)];
             if (out) {
                 out[0] = size[0];
@@ -0,0 +1,307 @@
+"""
+LoRA Metadata Inspector
+Reads the JSON header of LoRA safetensors files (without loading any tensors) and serves
+a summary of the training metadata - trigger tags, base model, network dim and
+resolution - for the info panel on LoRA rows and the stacker's trigger_words output.
+Also serves the preview images that sit next to LoRA files, for the LoRA picker.
+"""
+
+import asyncio
+import hashlib
+import json
+import os
+import struct
+
+from aiohttp import web
+from server import PromptServer
+import folder_paths
+
+
+# Headers larger than this are not a sane safetensors file
+MAX_HEADER_BYTES = 100 * 1024 * 1024
+
+# How many of the most frequent training tags a summary lists
+TOP_TAG_COUNT = 20
+
+# How many always-present caption tags are taken as trigger words when the file names none
+MAX_INFERRED_TRIGGER_WORDS = 3
+
+# Parsed metadata keyed by path, invalidated when the file's mtime or size changes
+_metadata_cache = {}
+
+# File hashes keyed by (path, skip_header), invalidated the same way
+_hash_cache = {}
+
+# Read size when hashing LoRA files
+HASH_CHUNK_BYTES = 1024 * 1024
+
+# Preview images next to a LoRA file, in the order they are looked for
+PREVIEW_SUFFIXES = (".preview.png", ".png")
+
+
+def read_safetensors_metadata(path):
+    """
+    Return the __metadata__ dict from a safetensors file header ({} if it has none).
+    Only the header is read. Raises ValueError if the file is not valid safetensors.
+    """
+    with open(path, "rb") as f:
+        prefix = f.read(8)
+        if len(prefix) != 8:
+            raise ValueError("File is too short to be safetensors")
+        
+        (header_size,) = struct.unpack("<Q", prefix)
+        if header_size > MAX_HEADER_BYTES:
+            raise ValueError(f"Header size {header_size} is too large")
+        
+        raw = f.read(header_size)
+        if len(raw) != header_size:
+            raise ValueError("Header is truncated")
+    
+    try:
+        header = json.loads(raw.decode("utf-8"))
+    except (UnicodeDecodeError, json.JSONDecodeError) as e:
+        raise ValueError(f"Header is not valid JSON: {e}")
+    
+    if not isinstance(header, dict):
+        raise ValueError("Header is not a JSON object")
+    
+    metadata = header.get("__metadata__")
+    if metadata is None:
+        return {}
+    if not isinstance(metadata, dict):
+        raise ValueError("__metadata__ is not a JSON object")
+    return {k: v for k, v in metadata.items() if isinstance(v, str)}
+
+
+def parse_json_field(metadata, key):
+    """
+    Decode a metadata value that trainers store as a JSON string. Returns None if it is
+    missing or malformed.
+    """
+    try:
+        return json.loads(metadata[key])
+    except (KeyError, TypeError, json.JSONDecodeError):
+        return None
+
+
+def tag_frequencies(metadata):
+    """
+    Merge ss_tag_frequency over all dataset folders into [(tag, count)], most frequent first.
+    """
+    per_dir = parse_json_field(metadata, "ss_tag_frequency")
+    if not isinstance(per_dir, dict):
+        return []
+    
+    counts = {}
+    for tags in per_dir.values():
+        if not isinstance(tags, dict):
+            continue
+        for tag, count in tags.items():
+            tag = tag.strip()
+            if tag and isinstance(count, (int, float)):
+                counts[tag] = counts.get(tag, 0) + int(count)
+    
+    return sorted(counts.items(), key=lambda item: (-item[1], item[0]))
+
+
+def split_trigger_words(text):
+    """
+    Split a comma-separated trigger word string into its non-empty words.
+    """
+    return [word.strip() for word in text.split(",") if word.strip()]
+
+
+def metadata_trigger_words(metadata):
+    """
+    Trigger words a LoRA was trained with: modelspec.trigger_phrase when the trainer
+    recorded one, otherwise the tags that appear in the most captions (activation tags
+    are normally in every caption).
+    """
+    phrase = metadata.get("modelspec.trigger_phrase")
+    if phrase:
+        return split_trigger_words(phrase)
+    
+    tags = tag_frequencies(metadata)
+    if not tags:
+        return []
+    top_count = tags[0][1]
+    return [tag for tag, count in tags if count == top_count][:MAX_INFERRED_TRIGGER_WORDS]
+
+
+def parse_resolution(metadata):
+    """
+    Training resolution as [width, height], from ss_resolution ("(512, 512)") or
+    modelspec.resolution ("1024x1024"). Returns None if neither parses.
+    """
+    for key, separator in (("ss_resolution", ","), ("modelspec.resolution", "x")):
+        value = metadata.get(key)
+        if not value:
+            continue
+        parts = value.strip("()[] ").split(separator)
+        try:
+            if len(parts) == 1:
+                return [int(parts[0]), int(parts[0])]
+            if len(parts) == 2:
+                return [int(parts[0]), int(parts[1])]
+        except ValueError:
+            continue
+    return None
+
+
+def summarize_metadata(metadata):
+    """
+    Pick the fields the info panel shows out of raw safetensors metadata.
+    """
+    def number(key):
+        try:
+            value = float(metadata[key])
+        except (KeyError, ValueError):
+            return None
+        return int(value) if value.is_integer() else value
+    
+    return {
+        "base_model": metadata.get("ss_base_model_version") or metadata.get("modelspec.architecture"),
+        "trained_on": metadata.get("ss_sd_model_name"),
+        "network_module": metadata.get("ss_network_module"),
+        "network_dim": number("ss_network_dim"),
+        "network_alpha": number("ss_network_alpha"),
+        "resolution": parse_resolution(metadata),
+        "epochs": number("ss_num_epochs"),
+        "train_images": number("ss_num_train_images"),
+        "steps": number("ss_steps"),
+        "learning_rate": number("ss_learning_rate"),
+        "output_name": metadata.get("ss_output_name") or metadata.get("modelspec.title"),
+        "comment": metadata.get("ss_training_comment"),
+        "trigger_words": metadata_trigger_words(metadata),
+        "top_tags": [{"tag": tag, "count": count} for tag, count in tag_frequencies(metadata)[:TOP_TAG_COUNT]],
+    }
+
+
+def get_lora_metadata(lora_name):
+    """
+    Return the raw metadata dict for a LoRA in the loras folder, cached per file version.
+    Returns None if the LoRA does not exist.
+    """
+    path = folder_paths.get_full_path("loras", lora_name)
+    if path is None or not os.path.isfile(path):
+        return None
+    
+    version = file_version(path)
+    cached = _metadata_cache.get(path)
+    if cached and cached[0] == version:
+        return cached[1]
+    
+    metadata = read_safetensors_metadata(path) if path.endswith(".safetensors") else {}
+    _metadata_cache[path] = (version, metadata)
+    return metadata
+
+
+def file_version(path):
+    """
+    (mtime, size) of a file, used to invalidate cached metadata and hashes.
+    """
+    stat = os.stat(path)
+    return (stat.st_mtime, stat.st_size)
+
+
+def get_lora_hash(lora_name, skip_header=False):
+    """
+    SHA-256 of a LoRA file in the loras folder as a hex string, cached per file version.
+    With skip_header, safetensors files are hashed without their JSON header, which is the
+    "addnet" hash A1111 and Civitai use to identify LoRAs regardless of their metadata.
+    Other formats are always hashed whole, which is not an addnet hash.
+    Returns None if the LoRA does not exist. Raises ValueError if a safetensors file is too
+    short to have a header.
+    """
+    path = folder_paths.get_full_path("loras", lora_name)
+    if path is None or not os.path.isfile(path):
+        return None
+    
+    version = file_version(path)
+    cached = _hash_cache.get((path, skip_header))
+    if cached and cached[0] == version:
+        return cached[1]
+    
+    sha256 = hashlib.sha256()
+    with open(path, "rb") as f:
+        if skip_header and path.endswith(".safetensors"):
+            prefix = f.read(8)
+            if len(prefix) != 8:
+                raise ValueError("File is too short to be safetensors")
+            (header_size,) = struct.unpack("<Q", prefix)
+            f.seek(8 + header_size)
+        for chunk in iter(lambda: f.read(HASH_CHUNK_BYTES), b""):
+            sha256.update(chunk)
+    
+    digest = sha256.hexdigest()
+    _hash_cache[(path, skip_header)] = (version, digest)
+    return digest
+
+
+def find_lora_preview(lora_name):
+    """
+    Path of the preview image for a LoRA in the loras folder: a same-named .preview.png or
+    .png next to the file. Returns None if the LoRA or its preview does not exist.
+    """
+    path = folder_paths.get_full_path("loras", lora_name)
+    if path is None:
+        return None
+    
+    stem = os.path.splitext(path)[0]
+    for suffix in PREVIEW_SUFFIXES:
+        if os.path.isfile(stem + suffix):
+            return stem + suffix
+    return None
+
+
+def list_lora_previews():
+    """
+    Names of the LoRAs in the loras folder that have a preview image.
+    """
+    return [name for name in folder_paths.get_filename_list("loras") if find_lora_preview(name)]
+
+
+def find_listed_lora_preview(name):
+    """
+    find_lora_preview for names from the LoRA list only, so the route can't be pointed at
+    images elsewhere.
+    """
+    return find_lora_preview(name) if name in folder_paths.get_filename_list("loras") else None
+
+
+routes = PromptServer.instance.routes
+
+
+@routes.get("/advanced_lora_stacker/lora_metadata")
+async def get_lora_metadata_route(request):
+    name = request.query.get("name", "")
+    if not name:
+        return web.json_response({"error": "Missing name parameter"}, status=400)
+    
+    # File reads run in the executor, so a slow disk or large loras folder doesn't stall the server
+    try:
+        metadata = await asyncio.get_running_loop().run_in_executor(None, get_lora_metadata, name)
+    except (OSError, ValueError) as e:
+        return web.json_response({"error": f"Failed to read LoRA metadata: {e}"}, status=500)
+    
+    if metadata is None:
+        return web.json_response({"error": f"LoRA not found: {name}"}, status=404)
+    return web.json_response({"name": name, **summarize_metadata(metadata)})
+
+
+@routes.get("/advanced_lora_stacker/lora_previews")
+async def get_lora_previews_route(request):
+    names = await asyncio.get_running_loop().run_in_executor(None, list_lora_previews)
+    return web.json_response({"previews": names})
+
+
+@routes.get("/advanced_lora_stacker/lora_preview")
+async def get_lora_preview_route(request):
+    name = request.query.get("name", "")
+    if not name:
+        return web.json_response({"error": "Missing name parameter"}, status=400)
+    
+    path = await asyncio.get_running_loop().run_in_executor(None, find_listed_lora_preview, name)
+    if path is None:
+        return web.json_response({"error": f"No preview for LoRA: {name}"}, status=404)
+    return web.FileResponse(path)
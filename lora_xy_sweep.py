@@ -0,0 +1,241 @@
+"""
+LoRA XY Sweep Nodes
+LoRA XY Sweep applies up to two LoRAs at every combination of their listed strengths and
+outputs one MODEL/CLIP variant per grid cell, as lists ComfyUI runs the downstream nodes
+over. LoRA XY Grid lays the resulting images out with axis labels.
+"""
+
+import json
+
+import numpy as np
+import torch
+from PIL import Image, ImageDraw, ImageFont
+
+import folder_paths
+
+from .advanced_lora_stacker import AdvancedLoraStacker, PRESET_BLOCK_RANGES, a1111_lora_name
+from .stack_presets import load_block_presets
+
+
+# Cells one sweep may produce. Every cell is a full sampling run downstream.
+MAX_GRID_CELLS = 100
+
+# What an axis's strengths apply to. The other strength stays at 1.0.
+AXIS_TARGETS = ["model and clip", "model", "clip"]
+
+# Space around grid labels, in pixels
+LABEL_PADDING = 8
+
+
+def parse_strength_values(text):
+    """
+    Parse an axis's strengths: a comma-separated list ("0, 0.5, 1") or an inclusive range
+    "start:end:count" ("0:1:5" gives 0, 0.25, 0.5, 0.75, 1). Raises ValueError if malformed.
+    """
+    text = (text or "").strip()
+    if ":" in text:
+        parts = text.split(":")
+        if len(parts) != 3:
+            raise ValueError(f"Strength range must be start:end:count, got {text!r}")
+        start, end, count = float(parts[0]), float(parts[1]), int(parts[2])
+        if count < 1:
+            raise ValueError(f"Strength range needs a count of at least 1, got {count}")
+        if count == 1:
+            return [round(start, 4)]
+        return [round(start + (end - start) * i / (count - 1), 4) for i in range(count)]
+    
+    values = [round(float(value), 4) for value in text.split(",") if value.strip()]
+    if not values:
+        raise ValueError("No strengths given")
+    return values
+
+
+def format_strength(value):
+    """
+    A strength for a grid label: at most four decimals, no trailing zeros.
+    """
+    return f"{value:g}"
+
+
+class LoraXYSweep:
+    """
+    Apply up to two LoRAs at every combination of their strengths, one MODEL/CLIP per cell.
+    Uses AdvancedLoraStacker.apply_lora_with_preset, so presets and block presets apply.
+    """
+
+    @classmethod
+    def INPUT_TYPES(cls):
+        loras = ["None"] + folder_paths.get_filename_list("loras")
+        presets = list(PRESET_BLOCK_RANGES) + list(load_block_presets())
+        return {
+            "required": {
+                "model": ("MODEL",),
+                "clip": ("CLIP",),
+                "x_lora": (loras,),
+                "x_preset": (presets,),
+                "x_target": (AXIS_TARGETS,),
+                "x_strengths": ("STRING", {"default": "0:1:5"}),
+                "y_lora": (loras,),
+                "y_preset": (presets,),
+                "y_target": (AXIS_TARGETS,),
+                "y_strengths": ("STRING", {"default": "1"}),
+            }
+        }
+
+    RETURN_TYPES = ("MODEL", "CLIP", "STRING", "STRING")
+    RETURN_NAMES = ("model", "clip", "label", "grid_info")
+    OUTPUT_IS_LIST = (True, True, True, False)
+    FUNCTION = "sweep"
+    CATEGORY = "loaders"
+
+    def sweep(self, model, clip, x_lora, x_preset, x_target, x_strengths,
+              y_lora, y_preset, y_target, y_strengths):
+        """
+        Build the grid row by row (y outer, x inner). Returns lists of models, clips and
+        cell labels, plus grid_info JSON for LoRA XY Grid.
+        """
+        if x_lora == "None" and y_lora == "None":
+            raise ValueError("Choose a LoRA for at least one axis")
+        
+        axes = []
+        for name, preset, target, strengths in ((x_lora, x_preset, x_target, x_strengths),
+                                                (y_lora, y_preset, y_target, y_strengths)):
+            values = parse_strength_values(strengths) if name != "None" else [None]
+            axes.append((name, preset, target, values))
+        (_, _, _, x_values), (_, _, _, y_values) = axes
+        
+        cells = len(x_values) * len(y_values)
+        if cells > MAX_GRID_CELLS:
+            raise ValueError(f"Sweep has {cells} cells, the limit is {MAX_GRID_CELLS}")
+        
+        print("\n" + "="*80)
+        print(f"LoRA XY Sweep - {len(x_values)} x {len(y_values)} grid")
+        print("="*80)
+        
+        stacker = AdvancedLoraStacker()
+        block_presets = load_block_presets()
+        lora_cache = {}
+        models, clips, labels = [], [], []
+        for y_value in y_values:
+            for x_value in x_values:
+                cell_model, cell_clip = model, clip
+                cell_labels = []
+                for (name, preset, target, _), value in zip(axes, (x_value, y_value)):
+                    if value is None:
+                        continue
+                    model_strength = value if target != "clip" else 1.0
+                    clip_strength = value if target != "model" else 1.0
+                    block_preset = block_presets.get(preset)
+                    print(f"  {a1111_lora_name(name)} ({preset}) - M:{model_strength:.4f} C:{clip_strength:.4f}")
+                    cell_model, cell_clip, _ = stacker.apply_lora_with_preset(
+                        cell_model, cell_clip, name, preset, model_strength, clip_strength,
+                        block_preset["model"] if block_preset else None,
+                        block_preset["clip"] if block_preset else None,
+                        lora_cache=lora_cache
+                    )
+                    cell_labels.append(f"{a1111_lora_name(name)}: {format_strength(value)}")
+                models.append(cell_model)
+                clips.append(cell_clip)
+                labels.append(" | ".join(cell_labels))
+        
+        print("="*80 + "\n")
+        
+        def axis_info(name, target, values):
+            if name == "None":
+                return "", [""]
+            return f"{a1111_lora_name(name)} ({target})", [format_strength(v) for v in values]
+        
+        x_title, x_labels = axis_info(x_lora, x_target, x_values)
+        y_title, y_labels = axis_info(y_lora, y_target, y_values)
+        grid_info = {
+            "columns": len(x_values),
+            "rows": len(y_values),
+            "x_title": x_title,
+            "x_labels": x_labels,
+            "y_title": y_title,
+            "y_labels": y_labels,
+        }
+        return (models, clips, labels, json.dumps(grid_info))
+
+
+class LoraXYGrid:
+    """
+    Lay out the images of a LoRA XY Sweep as a grid with axis labels.
+    """
+
+    @classmethod
+    def INPUT_TYPES(cls):
+        return {
+            "required": {
+                "images": ("IMAGE",),
+                "grid_info": ("STRING", {"forceInput": True}),
+                "font_size": ("INT", {"default": 24, "min": 8, "max": 128}),
+            }
+        }
+
+    INPUT_IS_LIST = True
+    RETURN_TYPES = ("IMAGE",)
+    FUNCTION = "assemble"
+    CATEGORY = "image"
+
+    def assemble(self, images, grid_info, font_size):
+        """
+        Place one image per cell, row by row. Every image in every batch counts as a cell,
+        and images that differ in size from the first are resized to match it.
+        """
+        info = json.loads(grid_info[0])
+        columns, rows = info["columns"], info["rows"]
+        cells = [
+            Image.fromarray(np.clip(255. * image.cpu().numpy(), 0, 255).astype(np.uint8))
+            for batch in images for image in batch
+        ]
+        if len(cells) != columns * rows:
+            raise ValueError(f"A {columns} x {rows} grid needs {columns * rows} images, got {len(cells)}")
+        
+        cell_width, cell_height = cells[0].size
+        try:
+            font = ImageFont.load_default(size=font_size[0])
+        except TypeError:
+            # Pillow before 10.1 has a single fixed-size default font
+            font = ImageFont.load_default()
+        
+        measure = ImageDraw.Draw(Image.new("RGB", (1, 1)))
+        def text_size(text):
+            left, top, right, bottom = measure.textbbox((0, 0), text, font=font)
+            return right - left, bottom - top
+        
+        line_height = text_size("Ag")[1] + LABEL_PADDING
+        left_margin = max(text_size(label)[0] for label in [info["y_title"], *info["y_labels"]]) + 2 * LABEL_PADDING
+        top_margin = 2 * line_height + LABEL_PADDING
+        
+        grid = Image.new("RGB", (left_margin + columns * cell_width, top_margin + rows * cell_height), "white")
+        draw = ImageDraw.Draw(grid)
+        
+        draw.text((LABEL_PADDING, LABEL_PADDING), info["y_title"], fill="black", font=font)
+        draw.text((left_margin, LABEL_PADDING), info["x_title"], fill="black", font=font)
+        for column, label in enumerate(info["x_labels"]):
+            x = left_margin + column * cell_width + (cell_width - text_size(label)[0]) // 2
+            draw.text((x, LABEL_PADDING + line_height), label, fill="black", font=font)
+        for row, label in enumerate(info["y_labels"]):
+            y = top_margin + row * cell_height + (cell_height - text_size(label)[1]) // 2
+            draw.text((LABEL_PADDING, y), label, fill="black", font=font)
+        
+        for i, cell in enumerate(cells):
+            if cell.size != (cell_width, cell_height):
+                cell = cell.resize((cell_width, cell_height), Image.LANCZOS)
+            row, column = divmod(i, columns)
+            grid.paste(cell, (left_margin + column * cell_width, top_margin + row * cell_height))
+        
+        pixels = np.array(grid).astype(np.float32) / 255.0
+        return (torch.from_numpy(pixels)[None,],)
+
+
+NODE_CLASS_MAPPINGS = {
+    "LoraXYSweep": LoraXYSweep,
+    "LoraXYGrid": LoraXYGrid
+}
+
+NODE_DISPLAY_NAME_MAPPINGS = {
+    "LoraXYSweep": "LoRA XY Sweep",
+    "LoraXYGrid": "LoRA XY Grid"
+}
@@ -0,0 +1,191 @@
+"""
+Save Image (LoRA Info) Node
+Saves images like ComfyUI's Save Image node, and also writes an A1111-style "parameters"
+text chunk so A1111, Civitai and other infotext parsers recognise the LoRAs used.
+"""
+
+import json
+import os
+
+import numpy as np
+from PIL import Image
+from PIL.PngImagePlugin import PngInfo
+
+import folder_paths
+from comfy.cli_args import args
+
+
+# A1111 only reads the last infotext line as settings when it has at least this many fields
+MIN_SETTINGS_FIELDS = 3
+
+# Sampler nodes whose inputs fill the Steps, Sampler, CFG scale and Seed fields
+SAMPLER_CLASS_TYPES = ("KSampler", "KSamplerAdvanced")
+
+# ComfyUI sampler and scheduler names as A1111 writes them. Others are written unchanged.
+A1111_SAMPLER_NAMES = {
+    "euler": "Euler", "euler_ancestral": "Euler a", "heun": "Heun", "lms": "LMS",
+    "dpm_2": "DPM2", "dpm_2_ancestral": "DPM2 a", "dpm_fast": "DPM fast", "dpm_adaptive": "DPM adaptive",
+    "dpmpp_2s_ancestral": "DPM++ 2S a", "dpmpp_sde": "DPM++ SDE", "dpmpp_2m": "DPM++ 2M",
+    "dpmpp_2m_sde": "DPM++ 2M SDE", "dpmpp_3m_sde": "DPM++ 3M SDE", "ddim": "DDIM", "uni_pc": "UniPC",
+    "lcm": "LCM",
+}
+A1111_SCHEDULER_NAMES = {
+    "normal": "Normal", "karras": "Karras", "exponential": "Exponential", "sgm_uniform": "SGM Uniform",
+    "simple": "Simple", "ddim_uniform": "DDIM", "beta": "Beta",
+}
+
+
+def infotext_value(value):
+    """
+    A settings value as A1111 writes it: quoted when it contains a delimiter.
+    """
+    text = str(value)
+    if any(c in text for c in ",:\n"):
+        return json.dumps(text)
+    return text
+
+
+def a1111_settings(prompt, width, height):
+    """
+    Settings fields [(key, value)] for an image: the first KSampler's steps, sampler,
+    scheduler, CFG and seed and the checkpoint name, read from the executed workflow (the
+    hidden PROMPT input), plus the image size. Inputs fed by links are skipped, since only
+    their source node knows the value.
+    """
+    if not isinstance(prompt, dict):
+        prompt = {}
+    
+    def node_sort_key(item):
+        node_id = str(item[0])
+        return (0, int(node_id), node_id) if node_id.isdigit() else (1, 0, node_id)
+    
+    nodes = [node for _, node in sorted(prompt.items(), key=node_sort_key) if isinstance(node, dict)]
+    
+    def widget(node, name):
+        value = node.get("inputs", {}).get(name)
+        return None if isinstance(value, list) else value
+    
+    fields = []
+    sampler = next((n for n in nodes if n.get("class_type") in SAMPLER_CLASS_TYPES), None)
+    if sampler is not None:
+        seed = widget(sampler, "seed")
+        if seed is None:
+            seed = widget(sampler, "noise_seed")
+        sampler_name = widget(sampler, "sampler_name")
+        scheduler = widget(sampler, "scheduler")
+        for key, value in (
+            ("Steps", widget(sampler, "steps")),
+            ("Sampler", A1111_SAMPLER_NAMES.get(sampler_name, sampler_name)),
+            ("Schedule type", A1111_SCHEDULER_NAMES.get(scheduler, scheduler)),
+            ("CFG scale", widget(sampler, "cfg")),
+            ("Seed", seed),
+        ):
+            if value is not None:
+                fields.append((key, value))
+    fields.append(("Size", f"{width}x{height}"))
+    
+    checkpoint = next((widget(n, "ckpt_name") for n in nodes if widget(n, "ckpt_name")), None)
+    if isinstance(checkpoint, str):
+        fields.append(("Model", os.path.splitext(os.path.basename(checkpoint.replace("\\", "/")))[0]))
+    return fields
+
+
+def build_a1111_parameters(lora_info, positive="", negative="", settings=None):
+    """
+    Build A1111 infotext from the stacker's a1111_lora_info output: the <lora:...> tags are
+    appended to the positive prompt, and the Lora hashes field joins the settings fields
+    ([(key, value)], e.g. from a1111_settings) on the last line. A1111 reads a last line
+    with fewer than MIN_SETTINGS_FIELDS fields as prompt text, so a shorter one is left out.
+    """
+    lines = [line.strip() for line in (lora_info or "").splitlines() if line.strip()]
+    hashes = [line for line in lines if line.startswith("Lora hashes:")]
+    tags = [line for line in lines if not line.startswith("Lora hashes:")]
+    
+    prompt = " ".join(part for part in [(positive or "").strip(), *tags] if part)
+    parameters = [prompt]
+    if negative and negative.strip():
+        parameters.append(f"Negative prompt: {negative.strip()}")
+    
+    fields = [f"{key}: {infotext_value(value)}" for key, value in settings or []]
+    fields += hashes
+    fields.append("Version: ComfyUI")
+    if len(fields) >= MIN_SETTINGS_FIELDS:
+        parameters.append(", ".join(fields))
+    return "\n".join(parameters)
+
+
+class SaveImageWithLoraInfo:
+    """
+    Save Image with the applied LoRAs embedded as A1111 infotext.
+    """
+
+    def __init__(self):
+        self.output_dir = folder_paths.get_output_directory()
+        self.type = "output"
+        self.compress_level = 4
+
+    @classmethod
+    def INPUT_TYPES(cls):
+        return {
+            "required": {
+                "images": ("IMAGE",),
+                "filename_prefix": ("STRING", {"default": "ComfyUI"}),
+                "lora_info": ("STRING", {"forceInput": True}),
+            },
+            "optional": {
+                "positive": ("STRING", {"forceInput": True}),
+                "negative": ("STRING", {"forceInput": True}),
+            },
+            "hidden": {
+                "prompt": "PROMPT",
+                "extra_pnginfo": "EXTRA_PNGINFO",
+            }
+        }
+
+    RETURN_TYPES = ()
+    FUNCTION = "save_images"
+    OUTPUT_NODE = True
+    CATEGORY = "image"
+
+    def save_images(self, images, filename_prefix="ComfyUI", lora_info="", positive="", negative="",
+                    prompt=None, extra_pnginfo=None):
+        """
+        Save each image as PNG with the ComfyUI workflow and the A1111 parameters chunk.
+        """
+        full_output_folder, filename, counter, subfolder, filename_prefix = folder_paths.get_save_image_path(
+            filename_prefix, self.output_dir, images[0].shape[1], images[0].shape[0]
+        )
+        settings = a1111_settings(prompt, images[0].shape[1], images[0].shape[0])
+        parameters = build_a1111_parameters(lora_info, positive, negative, settings)
+        
+        results = []
+        for batch_number, image in enumerate(images):
+            pixels = 255. * image.cpu().numpy()
+            img = Image.fromarray(np.clip(pixels, 0, 255).astype(np.uint8))
+            
+            metadata = None
+            if not args.disable_metadata:
+                metadata = PngInfo()
+                if parameters:
+                    metadata.add_text("parameters", parameters)
+                if prompt is not None:
+                    metadata.add_text("prompt", json.dumps(prompt))
+                if extra_pnginfo is not None:
+                    for key in extra_pnginfo:
+                        metadata.add_text(key, json.dumps(extra_pnginfo[key]))
+            
+            file = f"{filename.replace('%batch_num%', str(batch_number))}_{counter:05}_.png"
+            img.save(os.path.join(full_output_folder, file), pnginfo=metadata, compress_level=self.compress_level)
+            results.append({"filename": file, "subfolder": subfolder, "type": self.type})
+            counter += 1
+        
+        return {"ui": {"images": results}}
+
+
+NODE_CLASS_MAPPINGS = {
+    "SaveImageWithLoraInfo": SaveImageWithLoraInfo
+}
+
+NODE_DISPLAY_NAME_MAPPINGS = {
+    "SaveImageWithLoraInfo": "Save Image (LoRA Info)"
+}
@@ -0,0 +1,225 @@
+"""
+Stack Preset Library
+Server routes that store named Advanced LoRA Stacker snapshots, and named block-weight
+presets for the LoRA Type combo, as JSON files inside the node pack so a whole team
+can share them by syncing the presets folder.
+"""
+
+import json
+import os
+import re
+
+from aiohttp import web
+from server import PromptServer
+
+from .advanced_lora_stacker import BLOCK_NAMES, CLIP_LAYER_NAMES, PRESET_BLOCK_RANGES, valid_weight_vector
+
+
+PRESET_DIR = os.path.join(os.path.dirname(os.path.realpath(__file__)), "presets")
+BLOCK_PRESET_DIR = os.path.join(PRESET_DIR, "block_weights")
+
+# Letters, digits, spaces and a little punctuation. No path separators, no leading dot.
+PRESET_NAME_PATTERN = re.compile(r"^[\w][\w \-.()]{0,63}$")
+
+
+def preset_path(name, directory=PRESET_DIR):
+    """
+    Resolve the file for a preset name, or None if the name is not allowed.
+    """
+    if not isinstance(name, str) or not PRESET_NAME_PATTERN.match(name) or name.endswith("."):
+        return None
+    
+    path = os.path.realpath(os.path.join(directory, f"{name}.json"))
+    if os.path.dirname(path) != os.path.realpath(directory):
+        return None
+    return path
+
+
+def list_presets(directory=PRESET_DIR):
+    """
+    Return the sorted names of all stored presets.
+    """
+    if not os.path.isdir(directory):
+        return []
+    
+    names = []
+    for filename in os.listdir(directory):
+        name, ext = os.path.splitext(filename)
+        if ext == ".json" and preset_path(name, directory):
+            names.append(name)
+    return sorted(names, key=str.lower)
+
+
+def load_preset(name, directory=PRESET_DIR):
+    """
+    Load a stored preset. Returns None if it does not exist.
+    """
+    path = preset_path(name, directory)
+    if path is None or not os.path.isfile(path):
+        return None
+    
+    with open(path, "r", encoding="utf-8") as f:
+        return json.load(f)
+
+
+def write_preset(name, data, directory=PRESET_DIR):
+    """
+    Write a preset file, replacing any existing preset with that name.
+    """
+    path = preset_path(name, directory)
+    if path is None:
+        raise ValueError(f"Invalid preset name: {name!r}")
+    
+    os.makedirs(directory, exist_ok=True)
+    
+    # Write to a temp file first so a failed write never leaves a half-written preset
+    tmp_path = path + ".tmp"
+    with open(tmp_path, "w", encoding="utf-8") as f:
+        json.dump(data, f, indent=2)
+    os.replace(tmp_path, path)
+
+
+def save_preset(name, state):
+    """
+    Write a stack snapshot under the given name, replacing any existing preset.
+    """
+    if not isinstance(state, dict) or not isinstance(state.get("groups", []), list) \
+            or not isinstance(state.get("loras", []), list):
+        raise ValueError("Preset state must be an object with groups and loras lists")
+    
+    write_preset(name, {"name": name, "state": state})
+
+
+def delete_preset(name, directory=PRESET_DIR):
+    """
+    Delete a stored preset. Returns False if it did not exist.
+    """
+    path = preset_path(name, directory)
+    if path is None or not os.path.isfile(path):
+        return False
+    
+    os.remove(path)
+    return True
+
+
+def load_block_presets():
+    """
+    Return all block-weight presets as {name: {"model": [...], "clip": [...] or None}}.
+    Unreadable or malformed files are skipped.
+    """
+    presets = {}
+    for name in list_presets(BLOCK_PRESET_DIR):
+        try:
+            data = load_preset(name, BLOCK_PRESET_DIR)
+        except (OSError, json.JSONDecodeError) as e:
+            print(f"[LoRA Stacker] Skipping block preset '{name}': {e}")
+            continue
+        if isinstance(data, dict) and valid_weight_vector(data.get("model"), BLOCK_NAMES):
+            clip = data.get("clip")
+            presets[name] = {
+                "model": data["model"],
+                "clip": clip if valid_weight_vector(clip, CLIP_LAYER_NAMES) else None,
+            }
+    return presets
+
+
+def save_block_preset(name, model, clip=None):
+    """
+    Write a named block-weight preset. Built-in preset names are reserved.
+    """
+    if name in PRESET_BLOCK_RANGES or name == "Custom":
+        raise ValueError(f"'{name}' is a built-in preset name")
+    if not valid_weight_vector(model, BLOCK_NAMES):
+        raise ValueError(f"model must be a list of {len(BLOCK_NAMES)} numbers")
+    if clip is not None and not valid_weight_vector(clip, CLIP_LAYER_NAMES):
+        raise ValueError(f"clip must be a list of {len(CLIP_LAYER_NAMES)} numbers")
+    
+    write_preset(name, {"name": name, "model": model, "clip": clip}, BLOCK_PRESET_DIR)
+
+
+routes = PromptServer.instance.routes
+
+
+@routes.get("/advanced_lora_stacker/stack_presets")
+async def get_stack_presets(request):
+    return web.json_response({"presets": list_presets()})
+
+
+@routes.get("/advanced_lora_stacker/stack_presets/{name}")
+async def get_stack_preset(request):
+    name = request.match_info["name"]
+    try:
+        preset = load_preset(name)
+    except (OSError, json.JSONDecodeError) as e:
+        return web.json_response({"error": f"Failed to read preset: {e}"}, status=500)
+    
+    if preset is None:
+        return web.json_response({"error": f"Preset not found: {name}"}, status=404)
+    return web.json_response(preset)
+
+
+@routes.post("/advanced_lora_stacker/stack_presets/{name}")
+async def post_stack_preset(request):
+    name = request.match_info["name"]
+    try:
+        body = await request.json()
+        save_preset(name, body.get("state") if isinstance(body, dict) else None)
+    except (ValueError, json.JSONDecodeError) as e:
+        return web.json_response({"error": str(e)}, status=400)
+    except OSError as e:
+        return web.json_response({"error": f"Failed to write preset: {e}"}, status=500)
+    
+    print(f"[LoRA Stacker] Saved stack preset '{name}'")
+    return web.json_response({"presets": list_presets()})
+
+
+@routes.delete("/advanced_lora_stacker/stack_presets/{name}")
+async def delete_stack_preset(request):
+    name = request.match_info["name"]
+    try:
+        deleted = delete_preset(name)
+    except OSError as e:
+        return web.json_response({"error": f"Failed to delete preset: {e}"}, status=500)
+    
+    if not deleted:
+        return web.json_response({"error": f"Preset not found: {name}"}, status=404)
+    
+    print(f"[LoRA Stacker] Deleted stack preset '{name}'")
+    return web.json_response({"presets": list_presets()})
+
+
+@routes.get("/advanced_lora_stacker/block_presets")
+async def get_block_presets(request):
+    return web.json_response({"presets": load_block_presets()})
+
+
+@routes.post("/advanced_lora_stacker/block_presets/{name}")
+async def post_block_preset(request):
+    name = request.match_info["name"]
+    try:
+        body = await request.json()
+        if not isinstance(body, dict):
+            raise ValueError("Expected an object with model and clip weights")
+        save_block_preset(name, body.get("model"), body.get("clip"))
+    except (ValueError, json.JSONDecodeError) as e:
+        return web.json_response({"error": str(e)}, status=400)
+    except OSError as e:
+        return web.json_response({"error": f"Failed to write preset: {e}"}, status=500)
+    
+    print(f"[LoRA Stacker] Saved block preset '{name}'")
+    return web.json_response({"presets": load_block_presets()})
+
+
+@routes.delete("/advanced_lora_stacker/block_presets/{name}")
+async def delete_block_preset(request):
+    name = request.match_info["name"]
+    try:
+        deleted = delete_preset(name, BLOCK_PRESET_DIR)
+    except OSError as e:
+        return web.json_response({"error": f"Failed to delete preset: {e}"}, status=500)
+    
+    if not deleted:
+        return web.json_response({"error": f"Preset not found: {name}"}, status=404)
+    
+    print(f"[LoRA Stacker] Deleted block preset '{name}'")
+    return web.json_response({"presets": load_block_presets()})
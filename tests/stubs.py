@@ -0,0 +1,81 @@
+"""
+Import helpers for running the unit tests outside ComfyUI.
+
+ComfyUI's own modules (folder_paths, comfy, server) only exist inside a running
+install, so they are replaced with empty stand-ins, and the pack is loaded as a
+package without running __init__.py.
+"""
+
+import importlib
+import os
+import sys
+import types
+
+REPO_DIR = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+PACKAGE = "lora_stacker_pack"
+
+
+class _Routes:
+    """Route table whose decorators register nothing."""
+    
+    def _route(self, *args, **kwargs):
+        return lambda handler: handler
+    
+    get = post = put = delete = _route
+
+
+def _stub(name, **attrs):
+    if name not in sys.modules:
+        module = types.ModuleType(name)
+        module.__dict__.update(attrs)
+        sys.modules[name] = module
+    return sys.modules[name]
+
+
+def _install_stubs():
+    _stub("folder_paths",
+          get_full_path=lambda folder, name: None,
+          get_filename_list=lambda folder: [],
+          get_output_directory=lambda: REPO_DIR)
+    comfy = _stub("comfy")
+    comfy.lora = _stub("comfy.lora",
+                       model_lora_keys_unet=lambda model, keys=None: {},
+                       model_lora_keys_clip=lambda model, keys=None: {})
+    comfy.sd = _stub("comfy.sd")
+    comfy.utils = _stub("comfy.utils")
+    comfy.cli_args = _stub("comfy.cli_args", args=types.SimpleNamespace(disable_metadata=False))
+    _stub("server", PromptServer=types.SimpleNamespace(instance=types.SimpleNamespace(routes=_Routes())))
+    # Third-party packages ComfyUI ships with are only stubbed when they are not installed
+    try:
+        import aiohttp  # noqa: F401
+    except ImportError:
+        _stub("aiohttp", web=types.SimpleNamespace())
+    try:
+        import numpy  # noqa: F401
+    except ImportError:
+        _stub("numpy")
+    try:
+        import torch  # noqa: F401
+    except ImportError:
+        _stub("torch")
+    try:
+        import PIL.PngImagePlugin  # noqa: F401
+        import PIL.ImageDraw  # noqa: F401
+        import PIL.ImageFont  # noqa: F401
+    except ImportError:
+        pil = _stub("PIL")
+        pil.Image = _stub("PIL.Image")
+        pil.ImageDraw = _stub("PIL.ImageDraw")
+        pil.ImageFont = _stub("PIL.ImageFont")
+        pil.PngImagePlugin = _stub("PIL.PngImagePlugin", PngInfo=None)
+    
+    package = _stub(PACKAGE)
+    package.__path__ = [REPO_DIR]
+
+
+def load(module):
+    """
+    Import one of the pack's modules (e.g. "advanced_lora_stacker") with ComfyUI stubbed out.
+    """
+    _install_stubs()
+    return importlib.import_module(f"{PACKAGE}.{module}")
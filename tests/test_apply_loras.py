@@ -0,0 +1,69 @@
+"""
+Tests for which LoRAs apply_loras applies, with LoRA loading replaced by a recorder.
+"""
+
+import json
+import unittest
+from unittest import mock
+
+from stubs import load
+
+stacker = load("advanced_lora_stacker")
+
+
+class EnabledFlagTest(unittest.TestCase):
+    def setUp(self):
+        self.node = stacker.AdvancedLoraStacker()
+        self.applied = []
+        
+        def apply_lora_with_preset(model, clip, lora_name, *args, **kwargs):
+            self.applied.append(lora_name)
+            return model, clip, None
+        
+        self.node.apply_lora_with_preset = apply_lora_with_preset
+        for patcher in (
+            mock.patch.object(stacker, "lora_file_exists", lambda name: True),
+            mock.patch.object(stacker, "model_lora_keys", lambda model, clip: None),
+            mock.patch.object(stacker, "get_lora_hash", lambda name, skip_header=False: None),
+            mock.patch.object(stacker, "get_lora_metadata", lambda name: None),
+            mock.patch("builtins.print"),
+        ):
+            patcher.start()
+            self.addCleanup(patcher.stop)
+    
+    def apply(self, groups, loras):
+        stack_data = json.dumps({
+            "schema_version": stacker.STATE_SCHEMA_VERSION, "groups": groups, "loras": loras,
+        })
+        return self.node.apply_loras("model", "clip", 0, stack_data)
+    
+    def test_is_enabled(self):
+        self.assertTrue(stacker.is_enabled({}))
+        self.assertTrue(stacker.is_enabled({"enabled": None}))
+        self.assertTrue(stacker.is_enabled({"enabled": True}))
+        self.assertFalse(stacker.is_enabled({"enabled": False}))
+    
+    def test_null_enabled_counts_as_enabled(self):
+        groups = [{"id": 1, "index": 1, "max_model": 1.0, "max_clip": 1.0, "enabled": None}]
+        loras = [
+            {"id": 1, "name": "a.safetensors", "group_id": 1, "enabled": None},
+            {"id": 2, "name": "b.safetensors", "group_id": 1, "enabled": False},
+            {"id": 3, "name": "c.safetensors", "group_id": None, "enabled": None, "model_strength": 0.5},
+            {"id": 4, "name": "d.safetensors", "group_id": None, "enabled": False},
+        ]
+        report = json.loads(self.apply(groups, loras)["result"][4])
+        self.assertEqual(self.applied, ["a.safetensors", "c.safetensors"])
+        self.assertEqual([entry["name"] for entry in report["loras"]], ["a.safetensors", "c.safetensors"])
+    
+    def test_disabled_group_is_skipped(self):
+        groups = [{"id": 1, "index": 1, "enabled": False}, {"id": 2, "index": 2, "enabled": None}]
+        loras = [
+            {"id": 1, "name": "a.safetensors", "group_id": 1},
+            {"id": 2, "name": "b.safetensors", "group_id": 2},
+        ]
+        self.apply(groups, loras)
+        self.assertEqual(self.applied, ["b.safetensors"])
+
+
+if __name__ == "__main__":
+    unittest.main()
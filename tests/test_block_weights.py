@@ -0,0 +1,161 @@
+"""
+Tests for mapping LoRA state-dict keys to UNet blocks and text encoder layers,
+and for filtering a state dict by block weights.
+"""
+
+import unittest
+
+from stubs import load
+
+stacker = load("advanced_lora_stacker")
+BLOCK_NAMES = stacker.BLOCK_NAMES
+CLIP_LAYER_NAMES = stacker.CLIP_LAYER_NAMES
+
+
+def block_vector(**weights):
+    """Block-weight vector of ones with the named blocks overridden."""
+    return [weights.get(name, 1.0) for name in BLOCK_NAMES]
+
+
+def lora_module(path):
+    """Synthetic kohya-style LoRA module: down/up weights and alpha as plain numbers."""
+    return {
+        f"{path}.lora_down.weight": 1.0,
+        f"{path}.lora_up.weight": 2.0,
+        f"{path}.alpha": 4.0,
+    }
+
+
+class LoraKeyBlockTest(unittest.TestCase):
+    def test_sd15_kohya_keys(self):
+        cases = {
+            "lora_unet_input_blocks_1_1_proj_in.lora_up.weight": "IN01",
+            "lora_unet_input_blocks_11_0_in_layers_2.alpha": "IN11",
+            "lora_unet_middle_block_1_transformer_blocks_0_attn1_to_q.lora_down.weight": "MID",
+            "lora_unet_output_blocks_0_0_emb_layers_1.lora_up.weight": "OUT00",
+            "lora_unet_output_blocks_11_1_proj_out.alpha": "OUT11",
+        }
+        for key, block in cases.items():
+            with self.subTest(key=key):
+                self.assertEqual(stacker.lora_key_block(key), block)
+    
+    def test_original_layout_with_dots(self):
+        key = "diffusion_model.input_blocks.4.1.transformer_blocks.0.attn2.to_k.lora_A.weight"
+        self.assertEqual(stacker.lora_key_block(key), "IN04")
+    
+    def test_sdxl_diffusers_keys(self):
+        cases = {
+            "lora_unet_down_blocks_0_resnets_0_conv1.lora_up.weight": "IN01",
+            "lora_unet_down_blocks_1_attentions_1_proj_in.lora_up.weight": "IN05",
+            "lora_unet_down_blocks_2_attentions_0_transformer_blocks_3_ff_net_2.alpha": "IN07",
+            "lora_unet_down_blocks_0_downsamplers_0_conv.lora_up.weight": "IN03",
+            "lora_unet_mid_block_attentions_0_proj_out.lora_up.weight": "MID",
+            "lora_unet_up_blocks_0_attentions_2_proj_out.lora_up.weight": "OUT02",
+            "lora_unet_up_blocks_1_resnets_0_conv2.lora_up.weight": "OUT03",
+            "lora_unet_up_blocks_0_upsamplers_0_conv.lora_up.weight": "OUT02",
+            "unet.up_blocks.3.attentions.2.proj_out.lora_B.weight": "OUT11",
+        }
+        for key, block in cases.items():
+            with self.subTest(key=key):
+                self.assertEqual(stacker.lora_key_block(key), block)
+    
+    def test_keys_outside_the_blocks(self):
+        for key in (
+            "lora_te_text_model_encoder_layers_0_mlp_fc1.lora_up.weight",
+            "lora_te2_text_model_encoder_layers_31_self_attn_q_proj.alpha",
+            "lora_unet_time_embed_0.lora_up.weight",
+            "lora_unet_conv_in.lora_up.weight",
+            "some_other_key",
+        ):
+            with self.subTest(key=key):
+                self.assertIsNone(stacker.lora_key_block(key))
+    
+    def test_every_block_is_addressable(self):
+        blocks = {stacker.lora_key_block(f"lora_unet_input_blocks_{i}_0_x.alpha") for i in range(12)}
+        blocks |= {stacker.lora_key_block(f"lora_unet_output_blocks_{i}_0_x.alpha") for i in range(12)}
+        blocks.add(stacker.lora_key_block("lora_unet_middle_block_0_x.alpha"))
+        self.assertEqual(blocks, set(BLOCK_NAMES))
+
+
+class LoraKeyTeLayerTest(unittest.TestCase):
+    def test_text_encoder_keys(self):
+        cases = {
+            "lora_te_text_model_encoder_layers_0_mlp_fc1.lora_up.weight": ("te1", 0),
+            "lora_te1_text_model_encoder_layers_11_self_attn_k_proj.alpha": ("te1", 11),
+            "lora_te2_text_model_encoder_layers_31_mlp_fc2.lora_down.weight": ("te2", 31),
+            "text_encoder.text_model.encoder.layers.5.self_attn.q_proj.lora_A.weight": ("te1", 5),
+            "text_encoder_2.text_model.encoder.layers.20.mlp.fc1.lora_B.weight": ("te2", 20),
+        }
+        for key, layer in cases.items():
+            with self.subTest(key=key):
+                self.assertEqual(stacker.lora_key_te_layer(key), layer)
+    
+    def test_non_layer_keys(self):
+        self.assertIsNone(stacker.lora_key_te_layer("lora_unet_input_blocks_1_1_proj_in.alpha"))
+        self.assertIsNone(stacker.lora_key_te_layer("lora_te2_text_projection.lora_up.weight"))
+
+
+class ApplyBlockWeightsTest(unittest.TestCase):
+    def setUp(self):
+        self.lora_sd = {}
+        self.lora_sd.update(lora_module("lora_unet_input_blocks_4_1_proj_in"))
+        self.lora_sd.update(lora_module("lora_unet_middle_block_1_proj_out"))
+        self.lora_sd.update(lora_module("lora_unet_output_blocks_8_1_proj_in"))
+        self.lora_sd.update(lora_module("lora_te_text_model_encoder_layers_3_mlp_fc1"))
+        self.lora_sd["lora_unet_time_embed_0.lora_up.weight"] = 5.0
+    
+    def test_no_weights_is_a_copy(self):
+        result, dropped, scaled = stacker.apply_block_weights(self.lora_sd)
+        self.assertEqual(result, self.lora_sd)
+        self.assertIsNot(result, self.lora_sd)
+        self.assertEqual((dropped, scaled), (0, 0))
+    
+    def test_zero_weight_blocks_are_dropped(self):
+        weights = block_vector(IN04=0.0, MID=0.0)
+        result, dropped, scaled = stacker.apply_block_weights(self.lora_sd, weights)
+        
+        self.assertEqual(dropped, 6)
+        self.assertEqual(scaled, 0)
+        self.assertFalse(any(k.startswith("lora_unet_input_blocks_4_") for k in result))
+        self.assertFalse(any(k.startswith("lora_unet_middle_block_") for k in result))
+        self.assertIn("lora_unet_output_blocks_8_1_proj_in.lora_up.weight", result)
+        self.assertIn("lora_te_text_model_encoder_layers_3_mlp_fc1.lora_up.weight", result)
+        # Keys outside the block structure are kept whatever the vector says
+        self.assertEqual(result["lora_unet_time_embed_0.lora_up.weight"], 5.0)
+    
+    def test_all_zero_vector_keeps_only_unmapped_keys(self):
+        result, dropped, _ = stacker.apply_block_weights(self.lora_sd, [0.0] * len(BLOCK_NAMES))
+        self.assertEqual(dropped, 9)
+        self.assertEqual(sorted(result), sorted(
+            [k for k in self.lora_sd if k.startswith("lora_te_")] + ["lora_unet_time_embed_0.lora_up.weight"]
+        ))
+    
+    def test_partial_weight_scales_only_the_up_weight(self):
+        result, dropped, scaled = stacker.apply_block_weights(self.lora_sd, block_vector(OUT08=0.5))
+        self.assertEqual((dropped, scaled), (0, 1))
+        self.assertEqual(result["lora_unet_output_blocks_8_1_proj_in.lora_up.weight"], 1.0)
+        self.assertEqual(result["lora_unet_output_blocks_8_1_proj_in.lora_down.weight"], 1.0)
+        self.assertEqual(result["lora_unet_output_blocks_8_1_proj_in.alpha"], 4.0)
+    
+    def test_clip_weights_drop_zero_layers(self):
+        clip_weights = [1.0] * len(CLIP_LAYER_NAMES)
+        clip_weights[3] = 0.0
+        result, dropped, _ = stacker.apply_block_weights(self.lora_sd, clip_weights=clip_weights)
+        self.assertEqual(dropped, 3)
+        self.assertFalse(any(k.startswith("lora_te_") for k in result))
+    
+    def test_deep_encoder_spreads_over_clip_slots(self):
+        lora_sd = {}
+        for layer in range(24):
+            lora_sd.update(lora_module(f"lora_te2_text_model_encoder_layers_{layer}_mlp_fc1"))
+        clip_weights = [1.0] * len(CLIP_LAYER_NAMES)
+        clip_weights[0] = 0.0
+        result, dropped, _ = stacker.apply_block_weights(lora_sd, clip_weights=clip_weights)
+        # Slot 0 covers the first two of twenty-four layers
+        self.assertEqual(dropped, 6)
+        self.assertFalse(any("_layers_0_" in k or "_layers_1_" in k for k in result))
+        self.assertIn("lora_te2_text_model_encoder_layers_2_mlp_fc1.lora_up.weight", result)
+
+
+if __name__ == "__main__":
+    unittest.main()
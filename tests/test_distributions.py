@@ -0,0 +1,99 @@
+"""
+Tests for partitioning a group's strength budget under each distribution mode.
+"""
+
+import unittest
+
+from stubs import load
+
+stacker = load("advanced_lora_stacker")
+
+SEEDS = range(50)
+
+
+def partition(total, count, mode, seed, locked=None, weights=None, **settings):
+    distribution = stacker.group_distribution({"distribution": mode, **settings})
+    return stacker.AdvancedLoraStacker().partition_strengths(
+        total, count, locked, stacker.SeededRandom(seed), distribution, weights
+    )
+
+
+class PartitionStrengthsTest(unittest.TestCase):
+    def assert_sums_to(self, shares, expected):
+        total = 0.0
+        for share in shares:
+            total += share
+        self.assertAlmostEqual(total, expected, places=9)
+    
+    def test_shares_sum_to_total(self):
+        for mode in stacker.DISTRIBUTION_MODES:
+            for count in (2, 3, 7):
+                for seed in SEEDS:
+                    with self.subTest(mode=mode, count=count, seed=seed):
+                        shares = partition(1.3, count, mode, seed, weights=[1.0, 3.0, 0.5, 2, 0, 1, 1][:count])
+                        self.assertEqual(len(shares), count)
+                        self.assert_sums_to(shares, 1.3)
+                        self.assertTrue(all(share >= 0.0 for share in shares))
+    
+    def test_shares_sum_to_remaining_after_locks(self):
+        for mode in stacker.DISTRIBUTION_MODES:
+            for seed in SEEDS:
+                with self.subTest(mode=mode, seed=seed):
+                    shares = partition(1.0, 4, mode, seed, locked={1: 0.35})
+                    self.assertEqual(shares[1], 0.35)
+                    self.assert_sums_to([s for i, s in enumerate(shares) if i != 1], 0.65)
+    
+    def test_negative_total_gives_negative_shares(self):
+        for mode in stacker.DISTRIBUTION_MODES:
+            with self.subTest(mode=mode):
+                shares = partition(-0.8, 3, mode, 7)
+                self.assert_sums_to(shares, -0.8)
+                self.assertTrue(all(share <= 0.0 for share in shares))
+    
+    def test_equal_split(self):
+        self.assertEqual(partition(1.0, 4, "equal", 3), [0.25] * 4)
+    
+    def test_weighted_shares_follow_weights(self):
+        self.assertEqual(partition(1.0, 3, "weighted", 0, weights=[1.0, 2.0, 1.0]), [0.25, 0.5, 0.25])
+    
+    def test_clamped_shares_stay_in_bounds(self):
+        for seed in SEEDS:
+            with self.subTest(seed=seed):
+                shares = partition(1.0, 4, "clamped", seed, clamp_min=0.15, clamp_max=0.4)
+                self.assert_sums_to(shares, 1.0)
+                self.assertTrue(all(0.15 <= share <= 0.4 for share in shares), shares)
+    
+    def test_clamped_bounds_widen_to_the_mean(self):
+        # A floor of 0.4 can't be honoured by four shares of 1.0, nor a cap of 0.1
+        for clamp_min, clamp_max in ((0.4, 0.6), (0.05, 0.1)):
+            for seed in SEEDS:
+                with self.subTest(clamp_min=clamp_min, clamp_max=clamp_max, seed=seed):
+                    shares = partition(1.0, 4, "clamped", seed, clamp_min=clamp_min, clamp_max=clamp_max)
+                    floor = min(clamp_min, 0.25)
+                    cap = max(clamp_max, 0.25)
+                    self.assert_sums_to(shares, 1.0)
+                    self.assertTrue(all(floor <= share <= cap for share in shares), shares)
+
+
+class GroupDistributionTest(unittest.TestCase):
+    def test_defaults(self):
+        self.assertEqual(stacker.group_distribution({}), {
+            "mode": "uniform", "concentration": 1.0, "clamp_min": 0.1, "clamp_max": 1.0,
+        })
+    
+    def test_null_settings_get_defaults(self):
+        group = {"distribution": None, "concentration": None, "clamp_min": None, "clamp_max": None}
+        self.assertEqual(stacker.group_distribution(group), stacker.group_distribution({}))
+    
+    def test_out_of_range_settings_are_fixed(self):
+        distribution = stacker.group_distribution({
+            "distribution": "bogus", "concentration": 0.0, "clamp_min": -1.0, "clamp_max": 2.0,
+        })
+        self.assertEqual(distribution["mode"], "uniform")
+        self.assertEqual(distribution["concentration"], stacker.MIN_CONCENTRATION)
+        self.assertEqual(distribution["clamp_min"], 0.0)
+        self.assertEqual(distribution["clamp_max"], 2.0)
+
+
+if __name__ == "__main__":
+    unittest.main()
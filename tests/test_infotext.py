@@ -0,0 +1,149 @@
+"""
+Tests that the A1111 infotext written for saved images reads back the way A1111 and
+Civitai parse it.
+"""
+
+import json
+import re
+import unittest
+from unittest import mock
+
+from stubs import load
+
+stacker = load("advanced_lora_stacker")
+save_image = load("save_image_lora_info")
+
+# A1111's settings field pattern (modules/infotext_utils.py)
+RE_PARAM = re.compile(r'\s*(\w[\w \-/]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)')
+
+RE_LORA_TAG = re.compile(r"<lora:([^>]+)>")
+
+
+def parse_a1111_infotext(text):
+    """
+    A1111's parse_generation_parameters, reduced to prompt, negative prompt and settings.
+    The last line is only read as settings when it has at least three fields.
+    """
+    *lines, last_line = text.strip().split("\n")
+    if len(RE_PARAM.findall(last_line)) < 3:
+        lines.append(last_line)
+        last_line = ""
+    
+    prompt = []
+    negative = []
+    for line in lines:
+        line = line.strip()
+        if line.startswith("Negative prompt:"):
+            negative.append(line[len("Negative prompt:"):].strip())
+        elif negative:
+            negative.append(line)
+        else:
+            prompt.append(line)
+    
+    result = {"Prompt": "\n".join(prompt), "Negative prompt": "\n".join(negative)}
+    for key, value in RE_PARAM.findall(last_line):
+        if value.startswith('"') and value.endswith('"'):
+            value = json.loads(value)
+        result[key] = value
+    return result
+
+
+def parse_a1111_lora_tag(tag_args):
+    """
+    A1111's reading of <lora:...> arguments: (name, te multiplier, unet multiplier).
+    Positional weights are te then unet (unet defaults to te); te= and unet= override them.
+    """
+    name, *items = tag_args.split(":")
+    positional = [item for item in items if "=" not in item]
+    named = dict(item.split("=", 1) for item in items if "=" in item)
+    te = float(named.get("te", positional[0] if positional else 1.0))
+    unet = float(named.get("unet", positional[1] if len(positional) > 1 else te))
+    return name, te, unet
+
+
+def lora_info(entries):
+    with mock.patch.object(stacker, "get_lora_hash", lambda name, skip_header=False: "0123456789abcdef"):
+        return stacker.a1111_lora_info(entries)
+
+
+class A1111LoraInfoTest(unittest.TestCase):
+    def test_equal_strengths_use_one_weight(self):
+        self.assertEqual(lora_info([("chars/hero.safetensors", 0.75, 0.75)]).splitlines()[0],
+                         "<lora:hero:0.75>")
+    
+    def test_strengths_read_back_in_a1111(self):
+        for model, clip in ((0.6, 0.25), (1.0, 0.0), (0.0, 0.8), (0.5, 0.5)):
+            with self.subTest(model=model, clip=clip):
+                tags = RE_LORA_TAG.findall(lora_info([("style.safetensors", model, clip)]))
+                self.assertEqual(parse_a1111_lora_tag(tags[0]), ("style", clip, model))
+    
+    def test_only_safetensors_get_hashes(self):
+        info = lora_info([("old.pt", 1.0, 1.0), ("new.safetensors", 1.0, 1.0), ("legacy.ckpt", 0.5, 0.5)])
+        self.assertEqual(info.splitlines(), [
+            "<lora:old:1> <lora:new:1> <lora:legacy:0.5>",
+            'Lora hashes: "new: 0123456789ab"',
+        ])
+        self.assertEqual(lora_info([("old.pt", 1.0, 1.0)]), "<lora:old:1>")
+    
+    def test_first_weight_is_the_model_strength(self):
+        tag = lora_info([("style.safetensors", 0.6, 0.25)]).splitlines()[0]
+        self.assertEqual(tag.split(":")[2], "0.6")
+
+
+class BuildA1111ParametersTest(unittest.TestCase):
+    PROMPT = {
+        "4": {"class_type": "CheckpointLoaderSimple", "inputs": {"ckpt_name": "sdxl/juggernaut_v9.safetensors"}},
+        "3": {"class_type": "KSampler", "inputs": {
+            "seed": 123456, "steps": 30, "cfg": 6.5, "sampler_name": "dpmpp_2m", "scheduler": "karras",
+            "denoise": 1.0, "model": ["10", 0], "positive": ["6", 0],
+        }},
+    }
+    
+    def setUp(self):
+        self.info = lora_info([("hero.safetensors", 0.8, 0.8), ("style.safetensors", 0.6, 0.25)])
+    
+    def test_settings_line_holds_the_lora_hashes(self):
+        settings = save_image.a1111_settings(self.PROMPT, 832, 1216)
+        text = save_image.build_a1111_parameters(self.info, "a knight, castle", "blurry", settings)
+        parsed = parse_a1111_infotext(text)
+        
+        self.assertEqual(parsed["Prompt"], "a knight, castle <lora:hero:0.8> <lora:style:0.6:te=0.25:unet=0.6>")
+        self.assertEqual(parsed["Negative prompt"], "blurry")
+        self.assertEqual(parsed["Lora hashes"], "hero: 0123456789ab, style: 0123456789ab")
+        self.assertEqual(parsed["Steps"], "30")
+        self.assertEqual(parsed["Sampler"], "DPM++ 2M")
+        self.assertEqual(parsed["Schedule type"], "Karras")
+        self.assertEqual(parsed["CFG scale"], "6.5")
+        self.assertEqual(parsed["Seed"], "123456")
+        self.assertEqual(parsed["Size"], "832x1216")
+        self.assertEqual(parsed["Model"], "juggernaut_v9")
+    
+    def test_hashes_parse_without_a_sampler(self):
+        settings = save_image.a1111_settings(None, 512, 512)
+        parsed = parse_a1111_infotext(save_image.build_a1111_parameters(self.info, "", "", settings))
+        self.assertEqual(parsed["Lora hashes"], "hero: 0123456789ab, style: 0123456789ab")
+        self.assertNotIn("Lora hashes", parsed["Prompt"])
+    
+    def test_linked_sampler_inputs_are_skipped(self):
+        prompt = {"3": {"class_type": "KSamplerAdvanced", "inputs": {
+            "noise_seed": ["12", 0], "steps": 20, "cfg": 7, "sampler_name": "euler_ancestral",
+            "scheduler": ["13", 0],
+        }}}
+        self.assertEqual(save_image.a1111_settings(prompt, 512, 768), [
+            ("Steps", 20), ("Sampler", "Euler a"), ("CFG scale", 7), ("Size", "512x768"),
+        ])
+    
+    def test_short_settings_line_is_left_out(self):
+        text = save_image.build_a1111_parameters(self.info, "a knight")
+        self.assertNotIn("Lora hashes", text)
+        self.assertEqual(parse_a1111_infotext(text)["Prompt"], text)
+    
+    def test_values_with_delimiters_are_quoted(self):
+        settings = [("Model", "model, v2: final"), ("Steps", 20)]
+        parsed = parse_a1111_infotext(save_image.build_a1111_parameters("", "x", "", settings))
+        self.assertEqual(parsed["Model"], "model, v2: final")
+        self.assertEqual(parsed["Version"], "ComfyUI")
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,166 @@
+"""
+Tests for reading the metadata header of safetensors files.
+"""
+
+import asyncio
+import json
+import os
+import struct
+import tempfile
+import unittest
+from unittest import mock
+
+from stubs import load
+
+lora_metadata = load("lora_metadata")
+stacker = load("advanced_lora_stacker")
+
+
+class ReadSafetensorsMetadataTest(unittest.TestCase):
+    def setUp(self):
+        self.tmp = tempfile.TemporaryDirectory()
+        self.addCleanup(self.tmp.cleanup)
+    
+    def write(self, data):
+        path = os.path.join(self.tmp.name, "test.safetensors")
+        with open(path, "wb") as f:
+            f.write(data)
+        return path
+    
+    def write_header(self, header, tensor_bytes=b"\0" * 16):
+        raw = header if isinstance(header, bytes) else json.dumps(header).encode("utf-8")
+        return self.write(struct.pack("<Q", len(raw)) + raw + tensor_bytes)
+    
+    def test_reads_string_metadata(self):
+        path = self.write_header({
+            "__metadata__": {"ss_output_name": "my_lora", "ss_network_dim": "32"},
+            "lora_unet_x.lora_up.weight": {"dtype": "F16", "shape": [4, 2], "data_offsets": [0, 16]},
+        })
+        self.assertEqual(
+            lora_metadata.read_safetensors_metadata(path),
+            {"ss_output_name": "my_lora", "ss_network_dim": "32"},
+        )
+    
+    def test_skips_non_string_values(self):
+        path = self.write_header({"__metadata__": {"name": "x", "dim": 32, "tags": ["a"]}})
+        self.assertEqual(lora_metadata.read_safetensors_metadata(path), {"name": "x"})
+    
+    def test_missing_or_null_metadata_is_empty(self):
+        for header in ({}, {"__metadata__": None}):
+            with self.subTest(header=header):
+                self.assertEqual(lora_metadata.read_safetensors_metadata(self.write_header(header)), {})
+    
+    def test_too_short_file(self):
+        with self.assertRaisesRegex(ValueError, "too short"):
+            lora_metadata.read_safetensors_metadata(self.write(b"\x10\0\0"))
+    
+    def test_truncated_header(self):
+        raw = json.dumps({"__metadata__": {"name": "x"}}).encode("utf-8")
+        path = self.write(struct.pack("<Q", len(raw) + 100) + raw)
+        with self.assertRaisesRegex(ValueError, "truncated"):
+            lora_metadata.read_safetensors_metadata(path)
+    
+    def test_oversized_header(self):
+        path = self.write(struct.pack("<Q", lora_metadata.MAX_HEADER_BYTES + 1) + b"{}")
+        with self.assertRaisesRegex(ValueError, "too large"):
+            lora_metadata.read_safetensors_metadata(path)
+    
+    def test_invalid_json(self):
+        for raw in (b"{not json", b"\xff\xfe{}"):
+            with self.subTest(raw=raw):
+                with self.assertRaisesRegex(ValueError, "not valid JSON"):
+                    lora_metadata.read_safetensors_metadata(self.write_header(raw))
+    
+    def test_top_level_array(self):
+        with self.assertRaisesRegex(ValueError, "Header is not a JSON object"):
+            lora_metadata.read_safetensors_metadata(self.write_header([1, 2, 3]))
+    
+    def test_non_object_metadata(self):
+        for metadata in ("text", [["name", "x"]], 42):
+            with self.subTest(metadata=metadata):
+                path = self.write_header({"__metadata__": metadata})
+                with self.assertRaisesRegex(ValueError, "__metadata__ is not a JSON object"):
+                    lora_metadata.read_safetensors_metadata(path)
+
+
+
+class LoraHashTest(unittest.TestCase):
+    def setUp(self):
+        self.tmp = tempfile.TemporaryDirectory()
+        self.addCleanup(self.tmp.cleanup)
+        patcher = mock.patch.object(lora_metadata.folder_paths, "get_full_path",
+                                    lambda folder, name: os.path.join(self.tmp.name, name))
+        patcher.start()
+        self.addCleanup(patcher.stop)
+        lora_metadata._hash_cache.clear()
+    
+    def write(self, name, data):
+        with open(os.path.join(self.tmp.name, name), "wb") as f:
+            f.write(data)
+    
+    def test_addnet_hash_skips_the_header(self):
+        tensors = b"\1\2\3\4"
+        self.write("a.safetensors", struct.pack("<Q", 2) + b"{}" + tensors)
+        self.write("b.safetensors", struct.pack("<Q", 4) + b"{ }\n" + tensors)
+        self.assertEqual(lora_metadata.get_lora_hash("a.safetensors", skip_header=True),
+                         lora_metadata.get_lora_hash("b.safetensors", skip_header=True))
+        self.assertNotEqual(lora_metadata.get_lora_hash("a.safetensors"),
+                            lora_metadata.get_lora_hash("b.safetensors"))
+    
+    def test_truncated_file_raises_value_error(self):
+        self.write("short.safetensors", b"\0\0")
+        with self.assertRaises(ValueError):
+            lora_metadata.get_lora_hash("short.safetensors", skip_header=True)
+    
+    def test_callers_survive_unhashable_files(self):
+        self.write("short.safetensors", b"\0\0")
+        with mock.patch.object(stacker, "get_lora_hash", side_effect=ValueError("too short")), \
+                mock.patch("builtins.print"):
+            entry = stacker.stack_report_entry({"name": "short.safetensors"}, None, 0, 1.0, 1.0, None, [])
+            info = stacker.a1111_lora_info([("short.safetensors", 1.0, 1.0)])
+        self.assertIsNone(entry["sha256"])
+        self.assertNotIn("Lora hashes", info)
+
+
+
+class LoraRoutesTest(unittest.TestCase):
+    def setUp(self):
+        self.tmp = tempfile.TemporaryDirectory()
+        self.addCleanup(self.tmp.cleanup)
+        for name in ("a.safetensors", "a.preview.png", "b.safetensors", "c.safetensors", "c.png"):
+            open(os.path.join(self.tmp.name, name), "wb").close()
+        for patcher in (
+            mock.patch.object(lora_metadata.folder_paths, "get_full_path",
+                              lambda folder, name: os.path.join(self.tmp.name, name)),
+            mock.patch.object(lora_metadata.folder_paths, "get_filename_list",
+                              lambda folder: ["a.safetensors", "b.safetensors", "c.safetensors"], create=True),
+            mock.patch.object(lora_metadata.web, "json_response",
+                              lambda data, status=200: (status, data), create=True),
+        ):
+            patcher.start()
+            self.addCleanup(patcher.stop)
+    
+    def request(self, route, **query):
+        return asyncio.run(route(mock.Mock(query=query)))
+    
+    def test_previews(self):
+        self.assertEqual(self.request(lora_metadata.get_lora_previews_route),
+                         (200, {"previews": ["a.safetensors", "c.safetensors"]}))
+    
+    def test_preview_only_for_listed_names(self):
+        self.assertEqual(lora_metadata.find_listed_lora_preview("c.safetensors"),
+                         os.path.join(self.tmp.name, "c.png"))
+        self.assertIsNone(lora_metadata.find_listed_lora_preview("b.safetensors"))
+        self.assertIsNone(lora_metadata.find_listed_lora_preview("../c.safetensors"))
+    
+    def test_metadata_errors(self):
+        lora_metadata._metadata_cache.clear()
+        status, data = self.request(lora_metadata.get_lora_metadata_route, name="b.safetensors")
+        self.assertEqual(status, 500)
+        self.assertIn("too short", data["error"])
+        status, _ = self.request(lora_metadata.get_lora_metadata_route, name="missing.safetensors")
+        self.assertEqual(status, 404)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,120 @@
+"""
+Tests for parsing sweep strengths and laying out the cells of a LoRA XY Sweep.
+"""
+
+import json
+import unittest
+from unittest import mock
+
+from stubs import load
+
+xy_sweep = load("lora_xy_sweep")
+
+
+class ParseStrengthValuesTest(unittest.TestCase):
+    def test_list(self):
+        self.assertEqual(xy_sweep.parse_strength_values("0, 0.5, 1"), [0.0, 0.5, 1.0])
+        self.assertEqual(xy_sweep.parse_strength_values(" -0.25,,1.23456 "), [-0.25, 1.2346])
+    
+    def test_range(self):
+        self.assertEqual(xy_sweep.parse_strength_values("0:1:5"), [0.0, 0.25, 0.5, 0.75, 1.0])
+        self.assertEqual(xy_sweep.parse_strength_values("1:0:3"), [1.0, 0.5, 0.0])
+    
+    def test_range_of_one(self):
+        self.assertEqual(xy_sweep.parse_strength_values("0.7:1:1"), [0.7])
+    
+    def test_errors(self):
+        for text, message in (
+            ("", "No strengths"),
+            (None, "No strengths"),
+            (" , ", "No strengths"),
+            ("0:1", "start:end:count"),
+            ("0:1:2:3", "start:end:count"),
+            ("0:1:0", "at least 1"),
+            ("0:1:-2", "at least 1"),
+            ("0:1:x", ""),
+            ("0.5, abc", ""),
+        ):
+            with self.subTest(text=text):
+                with self.assertRaisesRegex(ValueError, message):
+                    xy_sweep.parse_strength_values(text)
+
+
+class LoraXYSweepTest(unittest.TestCase):
+    def setUp(self):
+        self.applied = []
+        
+        def apply_lora_with_preset(stacker, model, clip, name, preset, model_strength, clip_strength,
+                                   block_weights=None, clip_weights=None, lora_keys=None, lora_cache=None):
+            self.applied.append((name, model_strength, clip_strength))
+            return f"{model}+{name}@{model_strength}", f"{clip}+{name}@{clip_strength}", None
+        
+        for patcher in (
+            mock.patch.object(xy_sweep.AdvancedLoraStacker, "apply_lora_with_preset", apply_lora_with_preset),
+            mock.patch.object(xy_sweep, "load_block_presets", lambda: {}),
+            mock.patch("builtins.print"),
+        ):
+            patcher.start()
+            self.addCleanup(patcher.stop)
+    
+    def sweep(self, x_lora="x.safetensors", x_strengths="0, 1", y_lora="y.safetensors", y_strengths="0.5, 1, 2",
+              x_target="model and clip", y_target="model and clip"):
+        models, clips, labels, grid_info = xy_sweep.LoraXYSweep().sweep(
+            "M", "C", x_lora, "Full", x_target, x_strengths, y_lora, "Full", y_target, y_strengths
+        )
+        return models, clips, labels, json.loads(grid_info)
+    
+    def test_cells_are_rows_of_x(self):
+        models, clips, labels, _ = self.sweep()
+        self.assertEqual(labels, [
+            "x: 0 | y: 0.5", "x: 1 | y: 0.5",
+            "x: 0 | y: 1", "x: 1 | y: 1",
+            "x: 0 | y: 2", "x: 1 | y: 2",
+        ])
+        self.assertEqual(models[1], "M+x.safetensors@1.0+y.safetensors@0.5")
+        self.assertEqual(len(clips), 6)
+    
+    def test_targets(self):
+        self.sweep(x_strengths="0.3", y_strengths="0.6", x_target="model", y_target="clip")
+        self.assertEqual(self.applied, [("x.safetensors", 0.3, 1.0), ("y.safetensors", 1.0, 0.6)])
+    
+    def test_grid_info(self):
+        _, _, _, info = self.sweep()
+        self.assertEqual(info, {
+            "columns": 2, "rows": 3,
+            "x_title": "x (model and clip)", "x_labels": ["0", "1"],
+            "y_title": "y (model and clip)", "y_labels": ["0.5", "1", "2"],
+        })
+    
+    def test_single_axis(self):
+        models, _, labels, info = self.sweep(y_lora="None", y_strengths="not parsed")
+        self.assertEqual(labels, ["x: 0", "x: 1"])
+        self.assertEqual(len(models), 2)
+        self.assertEqual(info, {
+            "columns": 2, "rows": 1,
+            "x_title": "x (model and clip)", "x_labels": ["0", "1"],
+            "y_title": "", "y_labels": [""],
+        })
+        
+        _, _, labels, info = self.sweep(x_lora="None", y_strengths="0:1:3")
+        self.assertEqual(labels, ["y: 0", "y: 0.5", "y: 1"])
+        self.assertEqual((info["columns"], info["rows"]), (1, 3))
+        self.assertEqual((info["x_title"], info["x_labels"]), ("", [""]))
+    
+    def test_needs_a_lora(self):
+        with self.assertRaisesRegex(ValueError, "at least one axis"):
+            self.sweep(x_lora="None", y_lora="None")
+    
+    def test_cell_limit(self):
+        limit = xy_sweep.MAX_GRID_CELLS
+        models, _, _, _ = self.sweep(x_strengths=f"0:1:{limit}", y_strengths="1")
+        self.assertEqual(len(models), limit)
+        
+        self.applied.clear()
+        with self.assertRaisesRegex(ValueError, f"{limit + 1} cells"):
+            self.sweep(x_strengths=f"0:1:{limit + 1}", y_strengths="1")
+        self.assertEqual(self.applied, [])
+
+
+if __name__ == "__main__":
+    unittest.main()